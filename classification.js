@@ -0,0 +1,170 @@
+// Classifies the description of each development application using the rules in
+// "classificationrules.txt" (change this using "--classification-rules <file>" or the
+// MORPH_CLASSIFICATION_RULES environment variable).  Each application is assigned a category (such
+// as "dwelling" or "land division"), a sentence case description and, where the description
+// states them, the number of dwellings and allotments.
+//
+// Run "node classification.js" to reclassify the applications saved in the database (for example,
+// after changing the rules).
+
+"use strict";
+
+let fs = require("fs");
+let path = require("path");
+let { getOption } = require("./options");
+let { openDatabase, selectRows, executeSql } = require("./database");
+
+const RulesFileName = getOption("classification-rules", "MORPH_CLASSIFICATION_RULES") || path.join(__dirname, "classificationrules.txt");
+
+// The category of an application whose description matches none of the rules.
+
+const DefaultCategory = "other";
+
+// Numbers that may be written as words in a description (for example, "TWO DWELLINGS").
+
+const NumberWords = {
+    "one": 1, "two": 2, "three": 3, "four": 4, "five": 5, "six": 6, "seven": 7, "eight": 8, "nine": 9, "ten": 10,
+    "eleven": 11, "twelve": 12, "thirteen": 13, "fourteen": 14, "fifteen": 15, "sixteen": 16, "seventeen": 17,
+    "eighteen": 18, "nineteen": 19, "twenty": 20
+};
+
+const NumberPattern = `([0-9]+|${Object.keys(NumberWords).join("|")})`;
+
+// A demolition at the start of a description (up to the "AND", comma or semicolon that separates it
+// from the rest of the description, for example, "DEMOLITION OF SHED AND ") and the words that
+// indicate that the rest of the description is new building work.
+
+const DemolitionExpression = /^.*?\b(?:DEMOLISH|DEMOLITION|REMOVAL)\b[^,;]*?(?:\s+AND\b|[,;])/i;
+const ConstructionExpression = /\b(?:CONSTRUCT(?:ION)?|ERECT(?:ION)?|BUILD|NEW|REPLACEMENT|INSTALL(?:ATION)?|ALTERATIONS?|ADDITIONS?)\b/i;
+
+// The classification rules (read when first needed).
+
+let Rules = null;
+
+// Reads the classification rules.  Each rule is a category followed by a comma and a regular
+// expression (the regular expression may itself contain commas).
+
+function readRules() {
+    let rules = [];
+    let lines = fs.readFileSync(RulesFileName).toString().replace(/\r/g, "").split("\n");
+    lines.forEach((line, index) => {
+        if (line.trim() === "" || line.trim().startsWith("#"))
+            return;
+        let separatorIndex = line.indexOf(",");
+        if (separatorIndex < 0)
+            throw new Error(`The classification rule on line ${index + 1} of ${RulesFileName} has no regular expression.`);
+        let pattern = line.substring(separatorIndex + 1).trim();
+        try {
+            rules.push({ category: line.substring(0, separatorIndex).trim(), expression: new RegExp(pattern, "i") });
+        } catch (ex) {
+            throw new Error(`The classification rule on line ${index + 1} of ${RulesFileName} has an invalid regular expression (${ex.message}).`);
+        }
+    });
+    return rules;
+}
+
+// Converts a number written as digits or as a word to a number.
+
+function parseNumber(text) {
+    return /^[0-9]+$/.test(text) ? parseInt(text, 10) : NumberWords[text.toLowerCase()];
+}
+
+// Converts an upper case description to sentence case (for example, "VERANDAH AND SHED.  CARPORT"
+// becomes "Verandah and shed. Carport").
+
+function toSentenceCase(description) {
+    return description
+        .replace(/\s\s+/g, " ")
+        .replace(/\s+([,.;:)])/g, "$1")
+        .trim()
+        .toLowerCase()
+        .replace(/(^|[.!?] )([a-z])/g, (match, prefix, character) => prefix + character.toUpperCase());
+}
+
+// Removes a demolition from the start of a description when the rest of the description is new
+// building work, so that, for example, "DEMOLITION OF SHED AND CONSTRUCTION OF TWO DWELLINGS" is
+// classified by the two dwellings rather than by the demolition of the shed.
+
+function removeDemolition(description) {
+    let match = DemolitionExpression.exec(description);
+    if (match === null)
+        return description;
+    let remainder = description.substring(match[0].length);
+    return ConstructionExpression.test(remainder) ? remainder : description;
+}
+
+// Determines the number of dwellings from the description (for example, "3 GROUP DWELLINGS").
+// A dwelling without a number is counted as one dwelling.  Returns null if the application is not
+// for dwellings (so that, for example, "SELF STORAGE SHEDS - 20 UNITS" is not counted).
+
+function countDwellings(description, category) {
+    if (category !== "dwelling")
+        return null;
+    let match = new RegExp(`\\b${NumberPattern}\\s+(?:(?:NEW|DETACHED|SEMI-DETACHED|GROUP|ROW|RESIDENTIAL|SINGLE STOREY|TWO STOREY)\\s+)*(?:DWELLINGS?|UNITS?|HOUSES?|APARTMENTS?|RESIDENCES?)\\b`, "i").exec(description);
+    if (match !== null)
+        return parseNumber(match[1]);
+    return 1;
+}
+
+// Determines the number of allotments from the description (for example, "LAND DIVISION - 1 INTO
+// 3 ALLOTMENTS", "DIVISION OF 1 ALLOTMENT INTO 2" or "CREATE 4 ALLOTMENTS").  Returns null if the
+// number of allotments is not stated.
+
+function countAllotments(description) {
+    let match = new RegExp(`\\b${NumberPattern}\\s+(?:ALLOTMENTS?\\s+)?INTO\\s+${NumberPattern}\\b`, "i").exec(description);
+    if (match !== null)
+        return parseNumber(match[2]);
+    match = new RegExp(`\\b${NumberPattern}\\s+(?:(?:NEW|ADDITIONAL|RESIDENTIAL|VACANT|TORRENS TITLE|COMMUNITY TITLE)\\s+)*(?:ALLOTMENTS?|LOTS)\\b`, "i").exec(description);
+    return (match === null) ? null : parseNumber(match[1]);
+}
+
+// Classifies a description, returning the category, the sentence case description and the numbers
+// of dwellings and allotments (null if not stated).  A demolition combined with new building work
+// is classified by the new building work.
+
+function classifyDescription(description) {
+    if (Rules === null)
+        Rules = readRules();
+
+    let classifiedDescription = removeDemolition(description);
+    let rule = Rules.find(rule => rule.expression.test(classifiedDescription));
+    let category = (rule === undefined) ? DefaultCategory : rule.category;
+    return {
+        category: category,
+        normalisedDescription: toSentenceCase(description),
+        dwellingCount: countDwellings(classifiedDescription, category),
+        allotmentCount: countAllotments(classifiedDescription)
+    };
+}
+
+// Reclassifies all the development applications saved in the database.
+
+async function main() {
+    let database = openDatabase("data.sqlite");
+    let rows = await selectRows(database, "select [council_reference], [description] from [data]", []);
+
+    let categoryCounts = {};
+    for (let row of rows) {
+        let classification = classifyDescription(row.description || "");
+        categoryCounts[classification.category] = (categoryCounts[classification.category] || 0) + 1;
+        await executeSql(database, "update [data] set [category] = ?, [normalised_description] = ?, [dwelling_count] = ?, [allotment_count] = ? where [council_reference] = ?", [
+            classification.category,
+            classification.normalisedDescription,
+            classification.dwellingCount,
+            classification.allotmentCount,
+            row.council_reference
+        ]);
+    }
+    database.close();
+
+    console.log(`Reclassified ${rows.length} application(s): ${Object.keys(categoryCounts).sort().map(category => `${categoryCounts[category]} ${category}`).join(", ")}.`);
+}
+
+if (require.main === module) {
+    main().catch(error => {
+        console.error(error);
+        process.exitCode = 1;
+    });
+}
+
+module.exports = { classifyDescription, countDwellings, countAllotments };
@@ -0,0 +1,44 @@
+// Reads the configuration of each council (its web site, the labels in its PDFs and its gazetteer
+// files) from "councils/<id>.json".
+
+"use strict";
+
+let fs = require("fs");
+let path = require("path");
+let { getOption } = require("./options");
+
+const CouncilDirectory = path.join(__dirname, "councils");
+
+// Applications saved before councils were configured are from the default council.
+
+const DefaultCouncilId = "port-pirie";
+
+// Reads the configuration of a council.
+
+function readCouncil(councilId) {
+    let fileName = path.join(CouncilDirectory, `${councilId}.json`);
+    if (!fs.existsSync(fileName))
+        throw new Error(`There is no configuration file for the council "${councilId}" (expected ${fileName}).`);
+    return JSON.parse(fs.readFileSync(fileName).toString());
+}
+
+// Gets the identifiers of the selected councils: those given by the "--council" option or
+// MORPH_COUNCIL environment variable (separated by commas), otherwise every configured council.
+
+function getCouncilIds() {
+    let councilIds = getOption("council", "MORPH_COUNCIL");
+    if (councilIds !== undefined)
+        return councilIds.split(",").map(councilId => councilId.trim()).filter(councilId => councilId !== "");
+    return fs.readdirSync(CouncilDirectory).filter(fileName => fileName.endsWith(".json")).map(fileName => fileName.replace(/\.json$/, "")).sort();
+}
+
+// Gets the name of one of the gazetteer files of a council (for example, "streetNames"; the
+// configured file name is relative to the "councils" directory).  Returns null if the file is not
+// configured.
+
+function getGazetteerFileName(council, name) {
+    let fileName = (council.gazetteer || {})[name];
+    return (fileName === undefined) ? null : path.resolve(CouncilDirectory, fileName);
+}
+
+module.exports = { DefaultCouncilId, readCouncil, getCouncilIds, getGazetteerFileName };
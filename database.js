@@ -0,0 +1,117 @@
+// Opens the sqlite database in which the scraper saves the development applications and wraps its
+// callbacks in promises.  Also builds the filter used to select applications by suburb, by a range
+// of received dates, by text in the description and by category, so that "node export.js" and
+// "node server.js" select the same applications for the same filter.
+
+"use strict";
+
+let sqlite3 = require("sqlite3").verbose();
+let moment = require("moment");
+let { getOption } = require("./options");
+let logger = require("./logger");
+
+// Opens the database given by "--database <file>" or the MORPH_DATABASE environment variable
+// (otherwise the specified default file, normally "data.sqlite").  A database that is opened read
+// only waits for the scraper to release any locks so that the scraper can continue to write to it.
+
+function openDatabase(defaultFileName, isReadOnly) {
+    let fileName = getOption("database", "MORPH_DATABASE") || defaultFileName;
+    if (!isReadOnly)
+        return new sqlite3.Database(fileName);
+    let database = new sqlite3.Database(fileName, sqlite3.OPEN_READONLY);
+    database.configure("busyTimeout", 5000);
+    return database;
+}
+
+// Selects a single row from the database (undefined is returned if there is no such row).
+
+async function selectRow(database, sql, parameters) {
+    return new Promise((resolve, reject) => {
+        database.get(sql, parameters, (error, row) => {
+            if (error) {
+                logger.error("A database error occurred.", { stage: "database", error: error });
+                reject(error);
+            } else
+                resolve(row);
+        });
+    });
+}
+
+// Selects all matching rows from the database.
+
+async function selectRows(database, sql, parameters) {
+    return new Promise((resolve, reject) => {
+        database.all(sql, parameters, (error, rows) => {
+            if (error) {
+                logger.error("A database error occurred.", { stage: "database", error: error });
+                reject(error);
+            } else
+                resolve(rows);
+        });
+    });
+}
+
+// Executes an SQL statement that does not return any rows.
+
+async function executeSql(database, sql, parameters) {
+    return new Promise((resolve, reject) => {
+        database.run(sql, parameters, function(error) {
+            if (error) {
+                logger.error("A database error occurred.", { stage: "database", error: error });
+                reject(error);
+            } else
+                resolve(this);
+        });
+    });
+}
+
+// Escapes the wildcard characters ("%" and "_") in text that is used in a "like" pattern (with
+// "\" as the escape character).
+
+function escapeLike(text) {
+    return text.replace(/[\\%_]/g, character => "\\" + character);
+}
+
+// Checks the filter of an application (see createApplicationFilter), returning a description of
+// the problem or null if the filter is valid.
+
+function validateApplicationFilter(filter) {
+    for (let name of [ "from", "to" ])
+        if (filter[name] !== undefined && !moment(filter[name], "YYYY-MM-DD", true).isValid())
+            return `The "${name}" date must be in the format YYYY-MM-DD.`;
+    return null;
+}
+
+// Creates the where clause (and its parameters) that selects the applications matching a filter.
+// Each property of the filter is optional: "suburb" (the suburb name of the formatted address,
+// ignoring case), "from" and "to" (a range of received dates, inclusive, in the format
+// "YYYY-MM-DD"), "q" (text that appears in the description) and "category" (for example,
+// "dwelling").
+
+function createApplicationFilter(filter) {
+    let conditions = [];
+    let parameters = [];
+    if (filter.suburb !== undefined) {
+        conditions.push("([address] like ? escape '\\' or [address] like ? escape '\\')");  // for example, "12 ELLEN STREET, PORT PIRIE SA 5540" or "PORT PIRIE SA 5540"
+        parameters.push(`%, ${escapeLike(filter.suburb.trim())} SA ____`, `${escapeLike(filter.suburb.trim())} SA ____`);
+    }
+    if (filter.from !== undefined) {
+        conditions.push("[date_received] >= ?");
+        parameters.push(filter.from);
+    }
+    if (filter.to !== undefined) {
+        conditions.push("[date_received] <= ?");
+        parameters.push(filter.to);
+    }
+    if (filter.q !== undefined) {
+        conditions.push("[description] like ? escape '\\'");
+        parameters.push(`%${escapeLike(filter.q.trim())}%`);
+    }
+    if (filter.category !== undefined) {
+        conditions.push("[category] = ?");
+        parameters.push(filter.category.trim().toLowerCase());
+    }
+    return { whereClause: (conditions.length === 0) ? "" : (" where " + conditions.join(" and ")), parameters: parameters };
+}
+
+module.exports = { openDatabase, selectRow, selectRows, executeSql, validateApplicationFilter, createApplicationFilter };
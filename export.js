@@ -0,0 +1,104 @@
+// Exports the development applications saved in the database by the scraper as CSV, newline
+// delimited JSON, a PlanningAlerts JSON feed or GeoJSON.  For example,
+//
+//     node export.js --format csv --from 2018-06-01 --to 2018-06-30 --suburb "PORT PIRIE" --category dwelling --output june.csv
+
+"use strict";
+
+let fs = require("fs");
+let { getOption } = require("./options");
+let { openDatabase, selectRows, validateApplicationFilter, createApplicationFilter } = require("./database");
+
+// The fields of each application in a PlanningAlerts JSON feed.
+
+const PlanningAlertsFields = [ "council_reference", "address", "description", "info_url", "date_received", "date_scraped" ];
+
+// Selects the development applications from the database that match a filter (see
+// createApplicationFilter in "database.js"), ordered by their received dates.
+
+async function selectApplications(database, filter) {
+    let { whereClause, parameters } = createApplicationFilter(filter);
+    return await selectRows(database, `select * from [data]${whereClause} order by [date_received], [council_reference]`, parameters);
+}
+
+// Formats the development applications as CSV (with a header line containing the column names).
+
+function formatCsv(rows) {
+    let columnNames = (rows.length === 0) ? PlanningAlertsFields : Object.keys(rows[0]);
+    let quote = value => (value === null || value === undefined) ? "" : (/[",\r\n]/.test(String(value)) ? `"${String(value).replace(/"/g, "\"\"")}"` : String(value));
+    let lines = [ columnNames.join(",") ];
+    for (let row of rows)
+        lines.push(columnNames.map(columnName => quote(row[columnName])).join(","));
+    return lines.join("\n") + "\n";
+}
+
+// Formats the development applications as newline delimited JSON (one application per line).
+
+function formatNdjson(rows) {
+    return rows.map(row => JSON.stringify(row) + "\n").join("");
+}
+
+// Formats the development applications as a PlanningAlerts JSON feed.
+
+function formatPlanningAlerts(rows) {
+    return JSON.stringify(rows.map(row => {
+        let application = {};
+        for (let fieldName of PlanningAlertsFields)
+            application[fieldName] = row[fieldName];
+        return application;
+    }), null, 2) + "\n";
+}
+
+// Formats the development applications as a GeoJSON feature collection.  Applications that have
+// not been geocoded are omitted (see the "--geocode" option of the scraper).
+
+function formatGeoJson(rows) {
+    let features = [];
+    for (let row of rows) {
+        if (row.lat === null || row.lat === undefined || row.lng === null || row.lng === undefined)
+            continue;
+        let properties = Object.assign({}, row);
+        delete properties.lat;
+        delete properties.lng;
+        features.push({ type: "Feature", geometry: { type: "Point", coordinates: [ row.lng, row.lat ] }, properties: properties });
+    }
+    return JSON.stringify({ type: "FeatureCollection", features: features }, null, 2) + "\n";
+}
+
+// Exports the development applications.
+
+async function main() {
+    let format = (getOption("format", "MORPH_EXPORT_FORMAT") || "csv").toLowerCase();
+    let formatters = { csv: formatCsv, ndjson: formatNdjson, planningalerts: formatPlanningAlerts, geojson: formatGeoJson };
+    if (!formatters.hasOwnProperty(format))
+        throw new Error(`Unknown export format "${format}" (expected csv, ndjson, planningalerts or geojson).`);
+
+    let filter = {
+        suburb: getOption("suburb", "MORPH_EXPORT_SUBURB"),
+        from: getOption("from", "MORPH_EXPORT_FROM"),
+        to: getOption("to", "MORPH_EXPORT_TO"),
+        q: getOption("q", "MORPH_EXPORT_QUERY"),
+        category: getOption("category", "MORPH_EXPORT_CATEGORY")
+    };
+    let problem = validateApplicationFilter(filter);
+    if (problem !== null)
+        throw new Error(problem);
+    let outputFileName = getOption("output", "MORPH_EXPORT_OUTPUT");
+
+    let database = openDatabase("data.sqlite", true);
+    let rows = await selectApplications(database, filter);
+    database.close();
+
+    let text = formatters[format](rows);
+    if (outputFileName === undefined)
+        process.stdout.write(text);
+    else {
+        fs.writeFileSync(outputFileName, text);
+        console.log(`Exported ${rows.length} application(s) to ${outputFileName}.`);
+    }
+}
+
+main().catch(error => {
+    console.error(error);
+    process.exitCode = 1;
+});
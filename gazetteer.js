@@ -0,0 +1,322 @@
+// Maintains the gazetteer files of each council (street names, street suffixes and suburb names).
+// For example,
+//
+//     node gazetteer.js lint --council port-pirie
+//     node gazetteer.js suggest --council port-pirie --output gazetteer.patch
+//
+// The "lint" command reports malformed lines, duplicates, suburbs in the street names file that are
+// missing from the suburb names file and bad post codes.  The "suggest" command proposes additions
+// to the suburb names and street names files, based on the applications that were rejected by the
+// scraper because their address could not be resolved, as a patch to be reviewed and applied.
+
+"use strict";
+
+let fs = require("fs");
+let path = require("path");
+let { getOption } = require("./options");
+let { readCouncil, getCouncilIds, getGazetteerFileName } = require("./councils");
+let { openDatabase, selectRows } = require("./database");
+
+// The number of columns in each gazetteer file.
+
+const ColumnCounts = { streetNames: 2, streetSuffixes: 2, suburbNames: 3 };
+
+// The reasons for rejecting an application that indicate a street, suburb or hundred is missing
+// from the gazetteer files.
+
+const UnresolvedReasons = [ "unknown-suburb", "no-street-or-hundred-match", "no-suburb" ];
+
+// The number of unchanged lines shown before and after each change in a patch.
+
+const ContextLineCount = 3;
+
+// Reads the lines of a gazetteer file (the trailing line break is not treated as an empty line).
+
+function readLines(fileName) {
+    let text = fs.readFileSync(fileName).toString().replace(/\r/g, "");
+    return (text === "") ? [] : text.replace(/\n$/, "").split("\n");
+}
+
+// Reads the non-empty lines of each gazetteer file of a council, along with their line numbers and
+// columns.
+
+function readGazetteer(council) {
+    let gazetteer = {};
+    for (let name of Object.keys(ColumnCounts)) {
+        let fileName = getGazetteerFileName(council, name);
+        let lines = readLines(fileName);
+        gazetteer[name] = {
+            fileName: fileName,
+            lines: lines,
+            entries: lines.map((line, index) => ({ lineNumber: index + 1, tokens: line.split(",").map(token => token.trim()) })).filter((entry, index) => lines[index].trim() !== "")
+        };
+    }
+    return gazetteer;
+}
+
+// Determines whether a suburb, state and post code (for example, "PORT PIRIE SA 5540") has a
+// valid South Australian post code.
+
+function hasValidPostCode(suburbStateAndPostCode) {
+    return /^.+ SA 5[0-9]{3}$/.test(suburbStateAndPostCode);
+}
+
+// Finds the problems in the gazetteer files of a council.  Each problem is described by the file
+// name, the line number and a message.
+
+function lintGazetteer(gazetteer) {
+    let problems = [];
+    let report = (file, entry, message) => problems.push({ fileName: path.relative(process.cwd(), file.fileName), lineNumber: entry.lineNumber, message: message });
+
+    for (let name of Object.keys(ColumnCounts)) {
+        let file = gazetteer[name];
+        for (let entry of file.entries) {
+            if (entry.tokens.length !== ColumnCounts[name])
+                report(file, entry, `expected ${ColumnCounts[name]} columns but found ${entry.tokens.length}.`);
+            else if (entry.tokens.some(token => token === ""))
+                report(file, entry, "has an empty column.");
+        }
+    }
+
+    // Check for duplicates (ignoring case).  Street names are only duplicates if they are in the
+    // same suburb.
+
+    let findDuplicates = (file, getKey, description) => {
+        let lineNumbers = {};
+        for (let entry of file.entries) {
+            let key = getKey(entry).toLowerCase();
+            if (lineNumbers.hasOwnProperty(key))
+                report(file, entry, `duplicates the ${description} on line ${lineNumbers[key]}.`);
+            else
+                lineNumbers[key] = entry.lineNumber;
+        }
+    };
+    findDuplicates(gazetteer.streetNames, entry => entry.tokens.slice(0, 2).join(","), "street");
+    findDuplicates(gazetteer.streetSuffixes, entry => entry.tokens[0], "street suffix");
+    findDuplicates(gazetteer.suburbNames, entry => entry.tokens[0], "suburb");
+
+    // Check the post codes and that the suburbs of the streets are known.
+
+    let suburbStateAndPostCodes = gazetteer.suburbNames.entries.map(entry => entry.tokens[1]);
+    for (let entry of gazetteer.suburbNames.entries) {
+        let suburbStateAndPostCode = entry.tokens[1];
+        if (suburbStateAndPostCode === undefined || suburbStateAndPostCode === "")
+            continue;
+        if (!hasValidPostCode(suburbStateAndPostCode))
+            report(gazetteer.suburbNames, entry, `"${suburbStateAndPostCode}" does not end with "SA" and a South Australian post code.`);
+        else if (!suburbStateAndPostCode.startsWith(entry.tokens[0] + " SA "))
+            report(gazetteer.suburbNames, entry, `"${suburbStateAndPostCode}" does not start with the suburb name "${entry.tokens[0]}".`);
+    }
+    for (let entry of gazetteer.streetNames.entries) {
+        let suburbStateAndPostCode = entry.tokens[1];
+        if (suburbStateAndPostCode === undefined || suburbStateAndPostCode === "")
+            continue;
+        if (!hasValidPostCode(suburbStateAndPostCode))
+            report(gazetteer.streetNames, entry, `"${suburbStateAndPostCode}" does not end with "SA" and a South Australian post code.`);
+        else if (!suburbStateAndPostCodes.includes(suburbStateAndPostCode))
+            report(gazetteer.streetNames, entry, `the suburb "${suburbStateAndPostCode}" is missing from ${path.basename(gazetteer.suburbNames.fileName)}.`);
+    }
+
+    problems.sort((problem1, problem2) => problem1.fileName.localeCompare(problem2.fileName) || (problem1.lineNumber - problem2.lineNumber));
+    return problems.map(problem => `${problem.fileName}:${problem.lineNumber}: ${problem.message}`);
+}
+
+// Converts the street name of a rejected application to the form used in the street names file
+// (for example, "ELLEN ST" becomes "Ellen Street").  This is similar to the formatting of street
+// names by the scraper.  Returns null if there is no street name.
+
+function formatStreetName(streetName, gazetteer) {
+    streetName = (streetName || "").trim().replace(/\s\s+/g, " ").replace(/\(NAP\) /g, "").replace(/ ROA$/, " ROAD");
+    if (streetName === "" || streetName === "0" || /^HD /.test(streetName) || /^HUNDRED /.test(streetName))
+        return null;
+
+    let streetNameTokens = streetName.split(" ");
+    if (streetNameTokens.length >= 2 && streetNameTokens[0] === streetNameTokens[1])
+        streetNameTokens.shift();
+    if (streetNameTokens.length >= 2 && streetNameTokens[streetNameTokens.length - 2] === streetNameTokens[streetNameTokens.length - 1])
+        streetNameTokens.pop();
+
+    let streetSuffix = gazetteer.streetSuffixes.entries.find(entry => entry.tokens[0].toLowerCase() === streetNameTokens[streetNameTokens.length - 1].toLowerCase());
+    if (streetSuffix !== undefined && streetSuffix.tokens.length >= 2)
+        streetNameTokens[streetNameTokens.length - 1] = streetSuffix.tokens[1];
+
+    return streetNameTokens.map(token => token.toLowerCase().replace(/(^|['-])([a-z])/g, (match, separator, character) => separator + character.toUpperCase())).join(" ");
+}
+
+// Proposes additions to the suburb names and street names files from the rejected applications
+// of a council.  Suburbs that are not known are proposed (with the post code of the suburbs in the
+// same hundred if they all have the same post code, otherwise "????"), along with their streets.
+
+function suggestAdditions(gazetteer, rejectedRows) {
+    let suburbs = {};  // suburb name (in lower case) to suburb, state and post code
+    let hundredSuburbs = {};  // hundred name (in lower case) to suburbs, states and post codes
+    for (let entry of gazetteer.suburbNames.entries) {
+        if (entry.tokens.length < 2)
+            continue;
+        suburbs[entry.tokens[0].toLowerCase()] = entry.tokens[1];
+        for (let hundredName of (entry.tokens[2] || "").split(";").map(name => name.trim().toLowerCase()).filter(name => name !== ""))
+            hundredSuburbs[hundredName] = (hundredSuburbs[hundredName] || []).concat([ entry.tokens[1] ]);
+    }
+    let streets = gazetteer.streetNames.entries.map(entry => entry.tokens.slice(0, 2).join(",").toLowerCase());
+
+    let proposals = {};  // keyed by the proposed line (or by the description if there is no line)
+    let propose = (fileName, line, description, row) => {
+        let key = (line === null) ? description : `${fileName}\n${line}`;
+        if (proposals[key] === undefined)
+            proposals[key] = { fileName: fileName, line: line, description: description, applicationNumbers: [] };
+        if (!proposals[key].applicationNumbers.includes(row.council_reference))
+            proposals[key].applicationNumbers.push(row.council_reference);
+    };
+
+    for (let row of rejectedRows) {
+        let suburbName = (row.suburb_name || "").trim().replace(/\s\s+/g, " ").toUpperCase();
+        let hundredName = (row.hundred_name || "").trim().replace(/\s\s+/g, " ").toUpperCase().replace(/^(HD OF|HD|HUNDRED OF|HUNDRED) /, "");
+        let streetName = formatStreetName(row.street_name, gazetteer);
+
+        // Determine the suburb, state and post code (proposing a new suburb if necessary).
+
+        let suburbStateAndPostCode = null;
+        if (/ SA [0-9]{4}$/.test(suburbName))
+            suburbStateAndPostCode = suburbName;
+        else if (suburbs.hasOwnProperty(suburbName.toLowerCase()))
+            suburbStateAndPostCode = suburbs[suburbName.toLowerCase()];
+        else if (suburbName !== "") {
+            let postCodes = (hundredSuburbs[hundredName.toLowerCase()] || []).map(name => name.replace(/^.* SA /, "")).filter((postCode, index, postCodes) => postCodes.indexOf(postCode) === index);
+            suburbStateAndPostCode = `${suburbName} SA ${(postCodes.length === 1) ? postCodes[0] : "????"}`;
+            propose(gazetteer.suburbNames.fileName, `${suburbName},${suburbStateAndPostCode},${hundredName}`, `Suburb "${suburbName}"`, row);
+        } else if (hundredName !== "" && (hundredSuburbs[hundredName.toLowerCase()] || []).length === 1)
+            suburbStateAndPostCode = hundredSuburbs[hundredName.toLowerCase()][0];
+        else if (hundredName !== "" && hundredSuburbs[hundredName.toLowerCase()] === undefined)
+            propose(null, null, `Hundred "${hundredName}" is not associated with any suburb (add it to the hundreds of a suburb)`, row);
+
+        // Propose the street in that suburb.
+
+        if (streetName === null)
+            continue;
+        if (suburbStateAndPostCode === null)
+            propose(null, null, `Street "${streetName}" has no suburb (add it to the suburb that contains it)`, row);
+        else if (!streets.includes(`${streetName},${suburbStateAndPostCode}`.toLowerCase()))
+            propose(gazetteer.streetNames.fileName, `${streetName},${suburbStateAndPostCode}`, `Street "${streetName}" in "${suburbStateAndPostCode}"`, row);
+    }
+
+    return Object.keys(proposals).map(key => proposals[key]);
+}
+
+// Creates a patch (in the unified diff format) that inserts lines into a file.  Each line is
+// inserted before the first line that follows it alphabetically (ignoring case).
+
+function createPatch(fileName, lines, addedLines) {
+    let entries = lines.map(line => ({ type: " ", line: line }));
+    for (let addedLine of addedLines.slice().sort((line1, line2) => line1.toLowerCase().localeCompare(line2.toLowerCase()))) {
+        let index = entries.findIndex(entry => entry.line.toLowerCase().localeCompare(addedLine.toLowerCase()) > 0);
+        entries.splice((index < 0) ? entries.length : index, 0, { type: "+", line: addedLine });
+    }
+
+    // Group the inserted lines into hunks (merging hunks whose context lines would overlap).
+
+    let hunks = [];
+    entries.forEach((entry, index) => {
+        if (entry.type !== "+")
+            return;
+        let lastHunk = hunks[hunks.length - 1];
+        if (lastHunk !== undefined && index - lastHunk.end <= 2 * ContextLineCount)
+            lastHunk.end = index + 1;
+        else
+            hunks.push({ start: index, end: index + 1 });
+    });
+
+    let relativeFileName = path.relative(__dirname, fileName).replace(/\\/g, "/");
+    let text = `--- a/${relativeFileName}\n+++ b/${relativeFileName}\n`;
+    for (let hunk of hunks) {
+        let start = Math.max(0, hunk.start - ContextLineCount);
+        let end = Math.min(entries.length, hunk.end + ContextLineCount);
+        let hunkEntries = entries.slice(start, end);
+        let oldStart = entries.slice(0, start).filter(entry => entry.type === " ").length;
+        let oldCount = hunkEntries.filter(entry => entry.type === " ").length;
+        let newStart = start;
+        let newCount = hunkEntries.length;
+        text += `@@ -${(oldCount === 0) ? oldStart : (oldStart + 1)},${oldCount} +${newStart + 1},${newCount} @@\n`;
+        text += hunkEntries.map(entry => entry.type + entry.line + "\n").join("");
+    }
+    return text;
+}
+
+// Selects the rejected applications of a council whose address could not be resolved.
+
+async function selectRejectedRows(database, councilId) {
+    return await selectRows(database, `select * from [rejected] where [council] = ? and [reason] in (${UnresolvedReasons.map(() => "?").join(", ")}) order by [council_reference]`, [ councilId ].concat(UnresolvedReasons));
+}
+
+// Lints the gazetteer files of each council, setting a non-zero exit code if there are problems.
+
+function lint(councils) {
+    for (let council of councils) {
+        let problems = lintGazetteer(readGazetteer(council));
+        if (problems.length === 0)
+            console.log(`No problems were found in the gazetteer files of ${council.name}.`);
+        else {
+            console.log(`${problems.length} problem(s) were found in the gazetteer files of ${council.name}:`);
+            for (let problem of problems)
+                console.log(`    ${problem}`);
+            process.exitCode = 1;
+        }
+    }
+}
+
+// Writes a report of the proposed additions to the gazetteer files of each council, followed by
+// the patch that makes those additions.
+
+async function suggest(councils) {
+    let outputFileName = getOption("output", "MORPH_GAZETTEER_OUTPUT");
+    let database = openDatabase("data.sqlite", true);
+    let text = "";
+    let proposalCount = 0;
+
+    for (let council of councils) {
+        let gazetteer = readGazetteer(council);
+        let rejectedRows = await selectRejectedRows(database, council.id);
+        let proposals = suggestAdditions(gazetteer, rejectedRows);
+        proposalCount += proposals.length;
+
+        text += `Proposed additions to the gazetteer files of ${council.name} from ${rejectedRows.length} rejected application(s):\n\n`;
+        for (let proposal of proposals)
+            text += `    ${proposal.description} (${proposal.applicationNumbers.length} application(s), such as "${proposal.applicationNumbers[0]}")\n`;
+        if (proposals.length === 0)
+            text += "    None.\n";
+        text += "\n";
+
+        for (let name of [ "suburbNames", "streetNames" ]) {
+            let addedLines = proposals.filter(proposal => proposal.fileName === gazetteer[name].fileName).map(proposal => proposal.line);
+            if (addedLines.length > 0)
+                text += createPatch(gazetteer[name].fileName, gazetteer[name].lines, addedLines);
+        }
+        text += "\n";
+    }
+    database.close();
+
+    text = "Review these additions (replacing any \"????\" post codes) and then apply them using \"git apply\".\n\n" + text;
+    if (outputFileName === undefined)
+        process.stdout.write(text);
+    else {
+        fs.writeFileSync(outputFileName, text);
+        console.log(`Wrote ${proposalCount} proposal(s) to ${outputFileName}.`);
+    }
+}
+
+// Runs the command given on the command line ("lint" or "suggest") for the selected councils.
+
+async function main() {
+    let command = process.argv[2];
+    let councils = getCouncilIds().map(readCouncil);
+    if (command === "lint")
+        lint(councils);
+    else if (command === "suggest")
+        await suggest(councils);
+    else
+        throw new Error(`Unknown command "${command}" (expected "node gazetteer.js lint" or "node gazetteer.js suggest").`);
+}
+
+main().catch(error => {
+    console.error(error);
+    process.exitCode = 1;
+});
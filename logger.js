@@ -0,0 +1,41 @@
+// Writes log messages, either as plain text or (using "--log-format json" or MORPH_LOG_FORMAT=json)
+// as JSON lines that can be monitored.  Each message has a level and may have context, such as the
+// PDF URL, the application number and the stage ("fetch", "parse", "address" or "insert").
+// Messages below the level given by "--log-level" or MORPH_LOG_LEVEL (default "info") are ignored.
+
+"use strict";
+
+let { getOption } = require("./options");
+
+const Levels = { debug: 10, info: 20, warn: 30, error: 40 };
+
+const Format = (getOption("log-format", "MORPH_LOG_FORMAT") || "text").toLowerCase();
+const MinimumLevel = Levels[(getOption("log-level", "MORPH_LOG_LEVEL") || "info").toLowerCase()] || Levels.info;
+
+// Writes a log message at the specified level.  Warnings and errors are written to standard error.
+// If the context contains an error then its stack trace is also written.
+
+function log(level, message, context) {
+    if (Levels[level] < MinimumLevel)
+        return;
+
+    context = Object.assign({}, context);
+    let stack = null;
+    if (context.error instanceof Error) {
+        stack = context.error.stack;
+        context.error = context.error.message;
+    }
+
+    let stream = (Levels[level] >= Levels.warn) ? process.stderr : process.stdout;
+    if (Format === "json")
+        stream.write(JSON.stringify(Object.assign({ time: new Date().toISOString(), level: level, message: message }, context, (stack === null) ? {} : { stack: stack })) + "\n");
+    else
+        stream.write(message + "\n" + ((stack === null) ? "" : (stack + "\n")));
+}
+
+module.exports = {
+    debug: (message, context) => log("debug", message, context),
+    info: (message, context) => log("info", message, context),
+    warn: (message, context) => log("warn", message, context),
+    error: (message, context) => log("error", message, context)
+};
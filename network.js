@@ -0,0 +1,75 @@
+// Retrieves web pages and documents with timeouts, retries (using exponential backoff) and
+// conditional requests (using ETag and Last-Modified headers).
+
+"use strict";
+
+let request = require("request-promise-native");
+let logger = require("./logger");
+
+// The user agent used when neither the fetcher nor the request specifies one.
+
+const DefaultUserAgent = "Mozilla/5.0 (compatible; DevelopmentApplicationsScraper/1.0)";
+
+// Creates a fetcher with the specified options: the timeout of each request in milliseconds, the
+// number of times a failed request is retried, the delay in milliseconds before the first retry
+// (doubled for each subsequent retry), the user agent and the proxy (if any).
+
+function createFetcher(options) {
+    let defaults = { timeout: 60000, retryCount: 3, retryDelay: 1000, userAgent: DefaultUserAgent };
+    options = Object.assign({}, options);
+    for (let name of Object.keys(defaults))
+        if (options[name] === undefined)
+            options[name] = defaults[name];
+
+    // Retrieves the specified URL.  If an ETag or last modified date is given (from a previous
+    // response) then a conditional request is made, in which case the result indicates whether the
+    // content is unchanged (and there is then no body).  Specify an encoding of null to retrieve
+    // the body as a buffer rather than a string, and a user agent to override the user agent of
+    // the fetcher.  An error is thrown if the request still fails after retrying.
+
+    async function fetch(url, fetchOptions) {
+        fetchOptions = fetchOptions || {};
+
+        let headers = { "User-Agent": fetchOptions.userAgent || options.userAgent };
+        if (fetchOptions.etag)
+            headers["If-None-Match"] = fetchOptions.etag;
+        if (fetchOptions.lastModified)
+            headers["If-Modified-Since"] = fetchOptions.lastModified;
+
+        for (let attempt = 0; ; attempt++) {
+            try {
+                let response = await request({
+                    url: url,
+                    proxy: options.proxy,
+                    headers: headers,
+                    timeout: options.timeout,
+                    encoding: (fetchOptions.encoding === undefined) ? "utf8" : fetchOptions.encoding,
+                    resolveWithFullResponse: true,
+                    simple: false  // allows the status code to be examined (such as 304)
+                });
+
+                if (response.statusCode === 304)
+                    return { statusCode: 304, isNotModified: true, body: null, etag: fetchOptions.etag, lastModified: fetchOptions.lastModified };
+                if (response.statusCode >= 200 && response.statusCode < 300)
+                    return { statusCode: response.statusCode, isNotModified: false, body: response.body, etag: response.headers["etag"], lastModified: response.headers["last-modified"] };
+
+                let error = new Error(`The request for ${url} failed with status code ${response.statusCode}.`);
+                error.statusCode = response.statusCode;
+                error.isRetryable = (response.statusCode === 429 || response.statusCode >= 500);
+                throw error;
+            } catch (error) {
+                let isRetryable = (error.isRetryable !== false);  // network errors and timeouts are retried
+                if (!isRetryable || attempt >= options.retryCount)
+                    throw error;
+
+                let delay = options.retryDelay * Math.pow(2, attempt);
+                logger.warn(`Retrying ${url} in ${delay} ms (attempt ${attempt + 1} of ${options.retryCount} failed: ${error.message}).`, { stage: "fetch", url: url });
+                await new Promise(resolve => setTimeout(resolve, delay));
+            }
+        }
+    }
+
+    return { fetch };
+}
+
+module.exports = { createFetcher };
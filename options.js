@@ -0,0 +1,29 @@
+// Reads the options of the scraper from the command line or from environment variables.
+
+"use strict";
+
+// Determines whether a command line option (for example, "--geocode") or the specified environment
+// variable is present (an environment variable value of "false" or "0" is treated as absent).
+
+function isOptionEnabled(name, environmentVariableName) {
+    if (process.argv.slice(2).includes(`--${name}`))
+        return true;
+    let value = process.env[environmentVariableName];
+    return value !== undefined && value !== "" && value !== "false" && value !== "0";
+}
+
+// Gets the value of a command line option (for example, "--replay fixtures" or "--replay=fixtures")
+// or, if the option is not present, the value of the specified environment variable.
+
+function getOption(name, environmentVariableName) {
+    for (let index = 2; index < process.argv.length; index++) {
+        let argument = process.argv[index];
+        if (argument.startsWith(`--${name}=`))
+            return argument.substring(name.length + 3);
+        else if (argument === `--${name}` && index + 1 < process.argv.length)
+            return process.argv[index + 1];
+    }
+    return process.env[environmentVariableName];
+}
+
+module.exports = { getOption, isOptionEnabled };
@@ -1,5 +1,6 @@
-// Parses the development application at the South Australian Port Pirie Regional Council site
-// and places them in a database.
+// Parses the development applications at the sites of South Australian councils (such as the
+// Port Pirie Regional Council) and places them in a database.  Each council is described by a
+// configuration file in the "councils" directory.
 //
 // Michael Bone
 // 3rd August 2018
@@ -7,15 +8,118 @@
 "use strict";
 
 let cheerio = require("cheerio");
-let request = require("request-promise-native");
-let sqlite3 = require("sqlite3").verbose();
 let pdf2json = require("pdf2json");
 let urlparser = require("url");
 let moment = require("moment");
 let fs = require("fs");
+let path = require("path");
+let crypto = require("crypto");
+let didYouMean = require("didyoumean2");
+let { getOption, isOptionEnabled } = require("./options");
+let { createFetcher } = require("./network");
+let { openDatabase, selectRow, selectRows, executeSql } = require("./database");
+let { DefaultCouncilId, readCouncil, getCouncilIds, getGazetteerFileName } = require("./councils");
+let logger = require("./logger");
+let { classifyDescription } = require("./classification");
 
-const DevelopmentApplicationsUrl = "https://www.pirie.sa.gov.au/what-do-councils-do/development,-building-and-planning/development-application-register?result_57806_result_page={0}";
-const CommentUrl = "mailto:council@pirie.sa.gov.au";
+// When a replay directory is specified (for example, "node scraper.js --replay fixtures" or the
+// MORPH_REPLAY_DIRECTORY environment variable) the pages and PDFs are read from that directory
+// instead of being retrieved from the council web site.
+
+const ReplayDirectory = getOption("replay", "MORPH_REPLAY_DIRECTORY");
+
+// The database in which the applications are saved, unless another database is given using
+// "--database <file>" or the MORPH_DATABASE environment variable.  When replaying, "replay.sqlite"
+// is used so that replayed applications (whose information URLs may be local file names) are kept
+// apart from the scraped applications in "data.sqlite".
+
+const DefaultDatabaseFileName = (ReplayDirectory === undefined) ? "data.sqlite" : "replay.sqlite";
+
+// Retrieves pages and PDFs from the council web site (with timeouts and retries).
+
+const Fetcher = createFetcher({
+    timeout: parseInt(getOption("timeout", "MORPH_TIMEOUT") || "60000", 10),  // milliseconds
+    retryCount: parseInt(getOption("retries", "MORPH_RETRIES") || "3", 10),
+    retryDelay: parseInt(getOption("retry-delay", "MORPH_RETRY_DELAY") || "1000", 10),  // milliseconds
+    proxy: process.env.MORPH_PROXY
+});
+
+// The user agent used to retrieve pages and PDFs (by default, the user agent configured for the
+// council).
+
+const UserAgent = getOption("user-agent", "MORPH_USER_AGENT");
+
+// Each retrieved PDF is saved in the archive directory, named by the SHA-256 hash of its content.
+
+const ArchiveDirectory = getOption("archive", "MORPH_ARCHIVE_DIRECTORY") || "archive";
+
+// Street and suburb names that do not exactly match a known name are corrected to the closest
+// known name, provided that the similarity is at least this threshold (from 0 to 1).
+
+const FuzzyMatchThreshold = parseFloat(getOption("fuzzy-threshold", "MORPH_FUZZY_THRESHOLD") || "0.8");
+
+// Addresses are geocoded (using local files, without network access) if the "--geocode" option or
+// MORPH_GEOCODE environment variable is specified.
+
+const IsGeocodingEnabled = isOptionEnabled("geocode", "MORPH_GEOCODE");
+
+// The columns of the [data] table for which changes are recorded in the [history] table (and the
+// corresponding properties of a development application).
+
+const HistoryColumns = [
+    { column: "address", property: "address" },
+    { column: "description", property: "description" },
+    { column: "date_received", property: "receivedDate" },
+    { column: "on_notice_from", property: "noticeFromDate" },
+    { column: "on_notice_to", property: "noticeToDate" },
+    { column: "notification_category", property: "notificationCategory" },
+    { column: "private_certifier", property: "privateCertifierName" },
+    { column: "lot", property: "lot" },
+    { column: "section", property: "section" },
+    { column: "plan", property: "plan" }
+];
+
+// The development application fields for which statistics are kept for each PDF (to detect any
+// changes to the layout of the PDFs).  The required fields are expected to be present for most
+// applications.
+
+const StatisticsFields = [ "applicationNumber", "receivedDate", "houseNumber", "streetName", "suburbName", "hundredName", "description", "address" ];
+const RequiredStatisticsFields = [ "applicationNumber", "receivedDate", "description", "address" ];
+
+// Any layout problems found in the PDFs during this run.
+
+let LayoutReports = [];
+
+// Any pages or PDFs that could not be retrieved or processed during this run.
+
+let Failures = [];
+
+// The counts that are reported in the summary at the end of this run (and saved in the "runs"
+// table).
+
+let RunSummary = {
+    startTime: null,
+    pagesFetched: 0,
+    pdfsDiscovered: 0,
+    pdfsProcessed: 0,
+    pdfsSkipped: 0,
+    applicationsParsed: 0,
+    applicationsInserted: 0,
+    applicationsUpdated: 0,
+    applicationsUnchanged: 0,
+    applicationsRejected: 0,
+    applicationsErrored: 0,
+    peakMemory: 0
+};
+
+// The configuration of the council that is currently being scraped.
+
+let Council = readCouncil(DefaultCouncilId);
+
+// The columns of the [rejected] table.  The position distinguishes the applications without an
+// application number in the same PDF (it is zero for applications that have a number).
+
+const RejectedColumns = "[council_reference] text, [house_number] text, [street_name] text, [suburb_name] text, [hundred_name] text, [info_url] text, [reason] text, [date_scraped] text, [council] text, [position] integer";
 
 // Address information.
 
@@ -24,39 +128,329 @@ let StreetSuffixes = null;
 let SuburbNames = null;
 let HundredSuburbNames = null;
 
+// Geocoding information (only read when geocoding is enabled).
+
+let AddressPoints = null;
+let StreetPoints = null;
+let SuburbCentroids = null;
+
+// The completion of the tasks passed to runExclusively (each task waits for the previous task).
+
+let ExclusiveTasks = Promise.resolve();
+
 // Sets up an sqlite database.
 
 async function initializeDatabase() {
     return new Promise((resolve, reject) => {
-        let database = new sqlite3.Database("data.sqlite");
+        let database = openDatabase(DefaultDatabaseFileName);
         database.serialize(() => {
             database.run("create table if not exists [data] ([council_reference] text primary key, [address] text, [description] text, [info_url] text, [comment_url] text, [date_scraped] text, [date_received] text, [on_notice_from] text, [on_notice_to] text)");
+            database.run("create table if not exists [documents] ([url] text, [sha256] text, [date_fetched] text, [page_count] integer, [application_count] integer, primary key ([url], [sha256]))");
+            database.run("create table if not exists [listings] ([pdf_url] text primary key, [title] text, [page_url] text, [page_number] integer, [date_scraped] text)");
+            database.run("create table if not exists [queue] ([url] text primary key, [position] integer, [status] text, [date_queued] text, [date_completed] text)");
+            database.run("create table if not exists [fees] ([council_reference] text, [description] text, [amount] real)");
+            database.run("create table if not exists [decisions] ([council_reference] text, [name] text, [date] text, [status] text)");
+            database.run(`create table if not exists [rejected] (${RejectedColumns}, primary key ([council_reference], [info_url], [position]))`);
+            database.run("create table if not exists [history] ([council_reference] text, [field] text, [old_value] text, [new_value] text, [info_url] text, [date_changed] text)");
+            database.run("create table if not exists [corrections] ([council_reference] text, [field] text, [original] text, [corrected] text, [similarity] real, [info_url] text, [date_scraped] text)");
+            database.run("create table if not exists [runs] ([date_started] text, [date_finished] text, [duration_seconds] real, [pages_fetched] integer, [pdfs_discovered] integer, [pdfs_processed] integer, [pdfs_skipped] integer, [applications_parsed] integer, [applications_saved] integer, [applications_rejected] integer, [errors] integer, [peak_memory_mb] integer)");
             resolve(database);
         });
+    }).then(async database => {
+        // Add the columns that were introduced after the tables were first created.
+
+        await addMissingColumns(database, "data", [
+            { name: "private_certifier", type: "text" },
+            { name: "lot", type: "text" },
+            { name: "section", type: "text" },
+            { name: "plan", type: "text" },
+            { name: "date_last_seen", type: "text" },
+            { name: "notification_category", type: "text" },
+            { name: "lat", type: "real" },
+            { name: "lng", type: "real" },
+            { name: "geocode_precision", type: "text" },
+            { name: "council", type: "text" },
+            { name: "category", type: "text" },
+            { name: "normalised_description", type: "text" },
+            { name: "dwelling_count", type: "integer" },
+            { name: "allotment_count", type: "integer" },
+            { name: "document_date", type: "text" }
+        ]);
+        await addMissingColumns(database, "documents", [
+            { name: "statistics", type: "text" },
+            { name: "etag", type: "text" },
+            { name: "last_modified", type: "text" },
+            { name: "council", type: "text" }
+        ]);
+        await addMissingColumns(database, "runs", [
+            { name: "applications_inserted", type: "integer" },
+            { name: "applications_updated", type: "integer" },
+            { name: "applications_unchanged", type: "integer" },
+            { name: "applications_errored", type: "integer" }
+        ]);
+        await addMissingColumns(database, "queue", [ { name: "council", type: "text" } ]);
+        await addMissingColumns(database, "rejected", [ { name: "council", type: "text" } ]);
+        await addRejectedPosition(database);
+        for (let tableName of [ "data", "documents", "queue", "rejected" ])
+            await executeSql(database, `update [${tableName}] set [council] = ? where [council] is null`, [ DefaultCouncilId ]);
+        return database;
     });
 }
 
-// Inserts a row in the database if it does not already exist.
+// Adds the [position] column to the primary key of the [rejected] table (so that the applications
+// without an application number in the same PDF are not recorded over each other).  The primary
+// key of an existing table cannot be altered, so the table is rebuilt.
+
+async function addRejectedPosition(database) {
+    let existingColumnNames = (await selectRows(database, "pragma table_info([rejected])", [])).map(column => column.name);
+    if (existingColumnNames.includes("position"))
+        return;
+    await executeSql(database, "alter table [rejected] rename to [rejected_old]", []);
+    await executeSql(database, `create table [rejected] (${RejectedColumns}, primary key ([council_reference], [info_url], [position]))`, []);
+    await executeSql(database, "insert into [rejected] select [council_reference], [house_number], [street_name], [suburb_name], [hundred_name], [info_url], [reason], [date_scraped], [council], 0 from [rejected_old]", []);
+    await executeSql(database, "drop table [rejected_old]", []);
+}
+
+// Adds any of the specified columns that do not already exist in a table.
+
+async function addMissingColumns(database, tableName, columns) {
+    let existingColumnNames = (await selectRows(database, `pragma table_info([${tableName}])`, [])).map(column => column.name);
+    for (let column of columns)
+        if (!existingColumnNames.includes(column.name))
+            await executeSql(database, `alter table [${tableName}] add column [${column.name}] ${column.type}`, []);
+}
+
+// Inserts a row in the database if it does not already exist.  If the row already exists then it
+// is only updated if the application has changed, in which case each changed field is recorded in
+// the [history] table.  The fees, decisions and address corrections of the development application
+// are also saved.  An existing row is left unchanged if it was saved from a newer PDF than the PDF
+// of the development application (the document date of a PDF is the latest date that any of its
+// applications were received, so that a correction in a newer register is not reverted when an
+// older register is processed later).  Returns "inserted", "updated" or "unchanged".
 
 async function insertRow(database, developmentApplication) {
+    let lastSeenDate = moment().format("YYYY-MM-DD");
+    let existingRow = await selectRow(database, "select * from [data] where [council_reference] = ?", [ developmentApplication.applicationNumber ]);
+    let result = null;
+
+    if (existingRow === undefined) {
+        await new Promise((resolve, reject) => {
+            let sqlStatement = database.prepare("insert into [data] values (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)");
+            sqlStatement.run([
+                developmentApplication.applicationNumber,
+                developmentApplication.address,
+                developmentApplication.description,
+                developmentApplication.informationUrl,
+                developmentApplication.commentUrl,
+                developmentApplication.scrapeDate,
+                developmentApplication.receivedDate,
+                nullIfEmpty(developmentApplication.noticeFromDate),
+                nullIfEmpty(developmentApplication.noticeToDate),
+                developmentApplication.privateCertifierName,
+                developmentApplication.lot,
+                developmentApplication.section,
+                developmentApplication.plan,
+                lastSeenDate,
+                developmentApplication.notificationCategory,
+                developmentApplication.latitude,
+                developmentApplication.longitude,
+                developmentApplication.geocodePrecision,
+                developmentApplication.council,
+                developmentApplication.category,
+                developmentApplication.normalisedDescription,
+                developmentApplication.dwellingCount,
+                developmentApplication.allotmentCount,
+                nullIfEmpty(developmentApplication.documentDate)
+            ], function(error, row) {
+                if (error) {
+                    logger.error("A database error occurred.", { stage: "database", error: error });
+                    reject(error);
+                } else {
+                    logger.info(`    Inserted application \"${developmentApplication.applicationNumber}\" with address \"${developmentApplication.address}\" and description \"${developmentApplication.description}\" into the database.`, { stage: "insert", pdfUrl: developmentApplication.informationUrl, applicationNumber: developmentApplication.applicationNumber, result: "inserted" });
+                    sqlStatement.finalize();  // releases any locks
+                    resolve(row);
+                }
+            });
+        });
+        result = "inserted";
+    } else if (isOlderDocument(developmentApplication.documentDate, existingRow.document_date)) {
+        await executeSql(database, "update [data] set [date_last_seen] = ? where [council_reference] = ?", [ lastSeenDate, developmentApplication.applicationNumber ]);
+        logger.info(`    Ignored application \"${developmentApplication.applicationNumber}\" because it was saved from a newer document (${existingRow.info_url}).`, { stage: "insert", pdfUrl: developmentApplication.informationUrl, applicationNumber: developmentApplication.applicationNumber, result: "unchanged" });
+        return "unchanged";
+    } else {
+        // Determine which fields have changed (the date first scraped is always retained).  The
+        // classification is always updated (because the classification rules may have changed)
+        // but changes to it are not recorded in the history.
+
+        // The location is replaced when the address changes (even if the new address was not
+        // geocoded, so that the location is never that of a different address).  Otherwise the
+        // saved location is only replaced by a newly geocoded location.
+
+        let changedColumns = HistoryColumns.filter(historyColumn => (existingRow[historyColumn.column] || "") !== (developmentApplication[historyColumn.property] || ""));
+        let locationSql = changedColumns.some(historyColumn => historyColumn.column === "address") ? "[lat] = ?, [lng] = ?, [geocode_precision] = ?" : "[lat] = coalesce(?, [lat]), [lng] = coalesce(?, [lng]), [geocode_precision] = coalesce(?, [geocode_precision])";
+        if (changedColumns.length === 0) {
+            await executeSql(database, `update [data] set ${locationSql}, [category] = ?, [normalised_description] = ?, [dwelling_count] = ?, [allotment_count] = ?, [document_date] = ?, [date_last_seen] = ? where [council_reference] = ?`, [
+                developmentApplication.latitude,
+                developmentApplication.longitude,
+                developmentApplication.geocodePrecision,
+                developmentApplication.category,
+                developmentApplication.normalisedDescription,
+                developmentApplication.dwellingCount,
+                developmentApplication.allotmentCount,
+                nullIfEmpty(developmentApplication.documentDate),
+                lastSeenDate,
+                developmentApplication.applicationNumber
+            ]);
+            logger.info(`    Unchanged application \"${developmentApplication.applicationNumber}\" with address \"${developmentApplication.address}\" and description \"${developmentApplication.description}\" in the database.`, { stage: "insert", pdfUrl: developmentApplication.informationUrl, applicationNumber: developmentApplication.applicationNumber, result: "unchanged" });
+            result = "unchanged";
+        } else {
+            await executeSql(database, `update [data] set [address] = ?, [description] = ?, [info_url] = ?, [comment_url] = ?, [date_received] = ?, [on_notice_from] = ?, [on_notice_to] = ?, [notification_category] = ?, [private_certifier] = ?, [lot] = ?, [section] = ?, [plan] = ?, ${locationSql}, [category] = ?, [normalised_description] = ?, [dwelling_count] = ?, [allotment_count] = ?, [document_date] = ?, [date_last_seen] = ? where [council_reference] = ?`, [
+                developmentApplication.address,
+                developmentApplication.description,
+                developmentApplication.informationUrl,
+                developmentApplication.commentUrl,
+                developmentApplication.receivedDate,
+                nullIfEmpty(developmentApplication.noticeFromDate),
+                nullIfEmpty(developmentApplication.noticeToDate),
+                developmentApplication.notificationCategory,
+                developmentApplication.privateCertifierName,
+                developmentApplication.lot,
+                developmentApplication.section,
+                developmentApplication.plan,
+                developmentApplication.latitude,
+                developmentApplication.longitude,
+                developmentApplication.geocodePrecision,
+                developmentApplication.category,
+                developmentApplication.normalisedDescription,
+                developmentApplication.dwellingCount,
+                developmentApplication.allotmentCount,
+                nullIfEmpty(developmentApplication.documentDate),
+                lastSeenDate,
+                developmentApplication.applicationNumber
+            ]);
+            for (let historyColumn of changedColumns)
+                await executeSql(database, "insert into [history] values (?, ?, ?, ?, ?, ?)", [ developmentApplication.applicationNumber, historyColumn.column, existingRow[historyColumn.column], developmentApplication[historyColumn.property], developmentApplication.informationUrl, lastSeenDate ]);
+            logger.info(`    Updated application \"${developmentApplication.applicationNumber}\" with address \"${developmentApplication.address}\" and description \"${developmentApplication.description}\" in the database (changed ${changedColumns.map(historyColumn => historyColumn.column).join(", ")}).`, { stage: "insert", pdfUrl: developmentApplication.informationUrl, applicationNumber: developmentApplication.applicationNumber, result: "updated" });
+            result = "updated";
+        }
+    }
+
+    await executeSql(database, "delete from [fees] where [council_reference] = ?", [ developmentApplication.applicationNumber ]);
+    for (let fee of developmentApplication.fees)
+        await executeSql(database, "insert into [fees] values (?, ?, ?)", [ developmentApplication.applicationNumber, fee.description, fee.amount ]);
+
+    await executeSql(database, "delete from [decisions] where [council_reference] = ?", [ developmentApplication.applicationNumber ]);
+    for (let decision of developmentApplication.decisions)
+        await executeSql(database, "insert into [decisions] values (?, ?, ?, ?)", [ developmentApplication.applicationNumber, decision.name, decision.date, decision.status ]);
+
+    await executeSql(database, "delete from [corrections] where [council_reference] = ?", [ developmentApplication.applicationNumber ]);
+    for (let correction of developmentApplication.corrections)
+        await executeSql(database, "insert into [corrections] values (?, ?, ?, ?, ?, ?, ?)", [ developmentApplication.applicationNumber, correction.field, correction.original, correction.corrected, correction.similarity, developmentApplication.informationUrl, developmentApplication.scrapeDate ]);
+
+    // The application may have previously been rejected (for example, before a missing street
+    // was added to streetnames.txt).
+
+    await executeSql(database, "delete from [rejected] where [council_reference] = ?", [ developmentApplication.applicationNumber ]);
+
+    return result;
+}
+
+// Determines whether a PDF is older than the PDF from which an application was last saved, given
+// their document dates ("YYYY-MM-DD").  The applications saved before document dates were recorded
+// (and so without a document date) are always replaced, whereas a PDF without a document date is
+// treated as older than any PDF with a document date.
+
+function isOlderDocument(documentDate, savedDocumentDate) {
+    if (savedDocumentDate === null || savedDocumentDate === undefined || savedDocumentDate === "")
+        return false;
+    return (documentDate || "") < savedDocumentDate;
+}
+
+// Runs an asynchronous function once every function previously passed to runExclusively has
+// finished.  This is used to save the applications one at a time when several PDFs are processed
+// concurrently (saving an application reads the existing row before inserting or updating it, so
+// two PDFs containing the same application could otherwise both attempt to insert it).
+
+function runExclusively(task) {
+    let result = ExclusiveTasks.then(task);
+    ExclusiveTasks = result.catch(() => {});  // a failed task does not prevent the next task
+    return result;
+}
+
+// Records a development application that could not be saved, along with the reason that it was
+// rejected (for example, "missing-application-number" or "unknown-suburb").
+
+async function insertRejection(database, developmentApplication, reason) {
     return new Promise((resolve, reject) => {
-        let sqlStatement = database.prepare("insert or replace into [data] values (?, ?, ?, ?, ?, ?, ?, ?, ?)");
+        let sqlStatement = database.prepare("insert or replace into [rejected] values (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)");
         sqlStatement.run([
             developmentApplication.applicationNumber,
-            developmentApplication.address,
-            developmentApplication.description,
+            developmentApplication.houseNumber,
+            developmentApplication.streetName,
+            developmentApplication.suburbName,
+            developmentApplication.hundredName,
             developmentApplication.informationUrl,
-            developmentApplication.commentUrl,
+            reason,
             developmentApplication.scrapeDate,
-            developmentApplication.receivedDate,
-            null,
-            null
+            developmentApplication.council,
+            developmentApplication.position || 0
+        ], function(error, row) {
+            if (error) {
+                logger.error("A database error occurred.", { stage: "database", error: error });
+                reject(error);
+            } else {
+                logger.warn(`    Rejected application \"${developmentApplication.applicationNumber}\" with house number \"${developmentApplication.houseNumber}\", street \"${developmentApplication.streetName}\", suburb \"${developmentApplication.suburbName}\" and hundred \"${developmentApplication.hundredName}\" (${reason}).`, { stage: "address", pdfUrl: developmentApplication.informationUrl, applicationNumber: developmentApplication.applicationNumber, reason: reason });
+                sqlStatement.finalize();  // releases any locks
+                resolve(row);
+            }
+        });
+    });
+}
+
+// Records that a PDF document has been retrieved and parsed.
+
+async function insertDocument(database, document) {
+    return new Promise((resolve, reject) => {
+        let sqlStatement = database.prepare("insert or replace into [documents] values (?, ?, ?, ?, ?, ?, ?, ?, ?)");
+        sqlStatement.run([
+            document.url,
+            document.sha256,
+            document.fetchDate,
+            document.pageCount,
+            document.applicationCount,
+            JSON.stringify(document.statistics),
+            document.etag,
+            document.lastModified,
+            document.council
+        ], function(error, row) {
+            if (error) {
+                logger.error("A database error occurred.", { stage: "database", error: error });
+                reject(error);
+            } else {
+                logger.info(`    Saved document \"${document.url}\" with hash \"${document.sha256}\" (${document.pageCount} page(s) and ${document.applicationCount} application(s)) to the database.`, { stage: "insert", pdfUrl: document.url });
+                sqlStatement.finalize();  // releases any locks
+                resolve(row);
+            }
+        });
+    });
+}
+
+// Records the title of a link to a PDF found on a page of the council web site.
+
+async function insertListing(database, listing) {
+    return new Promise((resolve, reject) => {
+        let sqlStatement = database.prepare("insert or replace into [listings] values (?, ?, ?, ?, ?)");
+        sqlStatement.run([
+            listing.pdfUrl,
+            listing.title,
+            listing.pageUrl,
+            listing.pageNumber,
+            listing.scrapeDate
         ], function(error, row) {
             if (error) {
-                console.error(error);
+                logger.error("A database error occurred.", { stage: "database", error: error });
                 reject(error);
             } else {
-                console.log(`    Saved application \"${developmentApplication.applicationNumber}\" with address \"${developmentApplication.address}\" and description \"${developmentApplication.description}\" to the database.`);
                 sqlStatement.finalize();  // releases any locks
                 resolve(row);
             }
@@ -64,9 +458,23 @@ async function insertRow(database, developmentApplication) {
     });
 }
 
-// Format the address, ensuring that it has a valid suburb, state and post code.
+// Converts an empty string to null (so that a missing value is stored as null in the database).
+
+function nullIfEmpty(value) {
+    return (value === "") ? null : value;
+}
+
+// Format the address, ensuring that it has a valid suburb, state and post code.  Any street or
+// suburb names that were corrected by fuzzy matching are added to the optional details object (as
+// an array of corrections).  If the address is invalid then the reason is also added to the
+// details object (for example, "unknown-suburb"), otherwise the house number, street name and
+// suburb name of the formatted address are added.
+
+function formatAddress(houseNumber, streetName, suburbName, hundredName, details) {
+    details = details || {};
+    details.corrections = [];
+    details.reason = null;
 
-function formatAddress(houseNumber, streetName, suburbName, hundredName) {
     houseNumber = houseNumber.trim().replace(/\s\s+/g, " ");  // replace multiple whitespace characters with a single space
     streetName = streetName.trim().replace(/\s\s+/g, " ");  // replace multiple whitespace characters with a single space
     suburbName = suburbName.trim().replace(/\s\s+/g, " ");  // replace multiple whitespace characters with a single space
@@ -74,8 +482,10 @@ function formatAddress(houseNumber, streetName, suburbName, hundredName) {
 
     // The address is considered invalid if there is no street name.
 
-    if (streetName === "" || streetName === "0")
+    if (streetName === "" || streetName === "0") {
+        details.reason = (streetName === "") ? "missing-street" : "zero-street";
         return "";  // invalid address
+    }
 
     // If the hundred name appears in the street name then blank out the street name.
 
@@ -110,26 +520,56 @@ function formatAddress(houseNumber, streetName, suburbName, hundredName) {
     // Ensure that the suburb exists and that it includes a state and a post code.  For example,
     // "PIRIE SA 5240".
 
-    if (!/ SA [0-9]{4}$/.test(suburbName))
-        suburbName = SuburbNames[suburbName.toLowerCase()] || "";
+    // Obtain the suburbs associated with any hundred name.
+
+    let hundredSuburbNames = HundredSuburbNames[hundredName.replace(/^HD OF /g, "").trim().toLowerCase()];  // converts "HD OF NAPPERBY" to "NAPPERBY"
+
+    let originalSuburbName = suburbName;
+    if (!/ SA [0-9]{4}$/.test(suburbName)) {
+        let suburbStateAndPostCode = SuburbNames[suburbName.toLowerCase()];
+        if (suburbStateAndPostCode === undefined && suburbName !== "") {
+            // Correct a misspelt suburb name (such as "PORT PIRE"), preferring suburbs that are
+            // in the hundred when several suburbs are equally similar.
+
+            let match = findClosestName(suburbName, Object.keys(SuburbNames), name => hundredSuburbNames !== undefined && hundredSuburbNames.includes(SuburbNames[name]));
+            if (match !== null) {
+                suburbStateAndPostCode = SuburbNames[match.name];
+                details.corrections.push({ field: "suburb", original: suburbName, corrected: suburbStateAndPostCode, similarity: match.similarity });
+            }
+        }
+        suburbName = suburbStateAndPostCode || "";
+    }
 
     // If the suburb was not determined then attempt to derive the suburb by using a combination
     // of the suburbs determined based on the street name and the suburbs determined based on the
     // hundred name.
 
     if (suburbName === "") {
+        // Correct a misspelt street name (such as "ELLEN STEET") so that the suburb can be derived
+        // from the street.  This is only done when the suburb is not known (otherwise a valid
+        // street that is simply missing from streetnames.txt could be changed to a different
+        // street).  When several streets are equally similar, prefer the streets that are in the
+        // hundred.
+
+        if (streetName !== "" && StreetAndSuburbNames[streetName.toLowerCase()] === undefined) {
+            let match = findClosestName(streetName, Object.keys(StreetAndSuburbNames), name => hundredSuburbNames !== undefined && StreetAndSuburbNames[name].some(streetSuburbName => hundredSuburbNames.includes(streetSuburbName)));
+            if (match !== null) {
+                let correctedStreetName = (streetName === streetName.toUpperCase()) ? match.name.toUpperCase() : match.name.replace(/\b[a-z]/g, character => character.toUpperCase());
+                details.corrections.push({ field: "street", original: streetName, corrected: correctedStreetName, similarity: match.similarity });
+                streetName = correctedStreetName;
+            }
+        }
+
         // Obtain the suburbs associated with the street, if it exists.  Note that there may be
         // more than one suburb because the same street can pass through multiple suburbs and
         // the same street name can be used in non-adjoining suburbs).
 
         let streetSuburbNames = StreetAndSuburbNames[streetName.toLowerCase()];
 
-        // Obtain the suburbs associated with any hundred name.
-
-        let hundredSuburbNames = HundredSuburbNames[hundredName.replace(/^HD OF /g, "").trim().toLowerCase()];  // converts "HD OF NAPPERBY" to "NAPPERBY"
-
-        if (streetSuburbNames === undefined && hundredSuburbNames === undefined)
+        if (streetSuburbNames === undefined && hundredSuburbNames === undefined) {
+            details.reason = (originalSuburbName !== "") ? "unknown-suburb" : "no-street-or-hundred-match";
             return "";  // a suburb cannot be determined, the address is invalid
+        }
         else if (streetSuburbNames !== undefined && streetSuburbNames.length === 1)
             suburbName = streetSuburbNames[0];  // exactly one match (this is the best choice)
         else if (hundredSuburbNames !== undefined && hundredSuburbNames.length === 1)
@@ -148,21 +588,151 @@ function formatAddress(houseNumber, streetName, suburbName, hundredName) {
         }
     }
 
-    // The address is considered invalid if a suburb name could not be determined.
+    // The address is considered invalid if a suburb name could not be determined.  Otherwise the
+    // components of the address are also added to the details object (for geocoding).
 
-    if (suburbName === "")
+    if (suburbName === "") {
+        details.reason = "no-suburb";
         return "";
-    else if (houseNumber === "" && streetName === "")
+    }
+
+    details.houseNumber = houseNumber;
+    details.streetName = streetName;
+    details.suburbName = suburbName.trim();
+
+    if (houseNumber === "" && streetName === "")
         return suburbName.trim();
     else        
         return ((houseNumber + " " + streetName).trim() + ", " + suburbName).trim();
 }
 
-// Reads all the address information into global objects.
+// Geocodes an address using the local geocoding information, returning the latitude, longitude and
+// precision ("exact" for an address point, "street" for a street point or "suburb" for a suburb
+// centroid).  Returns null if the address cannot be geocoded.
+
+function geocodeAddress(houseNumber, streetName, suburbName) {
+    let point = AddressPoints[`${houseNumber},${streetName},${suburbName}`.toLowerCase()];
+    if (point !== undefined && houseNumber !== "")
+        return { latitude: point.latitude, longitude: point.longitude, precision: "exact" };
+
+    point = StreetPoints[`${streetName},${suburbName}`.toLowerCase()];
+    if (point !== undefined && streetName !== "")
+        return { latitude: point.latitude, longitude: point.longitude, precision: "street" };
+
+    point = SuburbCentroids[suburbName.toLowerCase()];  // rural addresses derived from a hundred still have a suburb
+    if (point !== undefined)
+        return { latitude: point.latitude, longitude: point.longitude, precision: "suburb" };
+
+    return null;
+}
+
+// Reads the local geocoding information into global objects.  The address points and street points
+// files are optional (the suburb centroids are then used instead).
+
+function readGeocodingInformation() {
+    AddressPoints = {};
+    for (let line of readOptionalLines(getGazetteerFileName(Council, "addressPoints"))) {
+        let tokens = line.split(",");  // for example, "12,Ellen Street,PORT PIRIE SA 5540,-33.1858,138.0169"
+        AddressPoints[`${tokens[0].trim()},${tokens[1].trim()},${tokens[2].trim()}`.toLowerCase()] = { latitude: parseFloat(tokens[3]), longitude: parseFloat(tokens[4]) };
+    }
+
+    StreetPoints = {};
+    for (let line of readOptionalLines(getGazetteerFileName(Council, "streetPoints"))) {
+        let tokens = line.split(",");  // for example, "Ellen Street,PORT PIRIE SA 5540,-33.1858,138.0169"
+        StreetPoints[`${tokens[0].trim()},${tokens[1].trim()}`.toLowerCase()] = { latitude: parseFloat(tokens[2]), longitude: parseFloat(tokens[3]) };
+    }
+
+    SuburbCentroids = {};
+    for (let line of readOptionalLines(getGazetteerFileName(Council, "suburbCentroids"))) {
+        let tokens = line.split(",");  // for example, "PORT PIRIE SA 5540,-33.1860,138.0170"
+        SuburbCentroids[tokens[0].trim().toLowerCase()] = { latitude: parseFloat(tokens[1]), longitude: parseFloat(tokens[2]) };
+    }
+}
+
+// Reads the non-empty lines of a file, returning an empty array if the file does not exist (or is
+// not configured).
+
+function readOptionalLines(fileName) {
+    if (fileName === null || !fs.existsSync(fileName))
+        return [];
+    return fs.readFileSync(fileName).toString().replace(/\r/g, "").split("\n").filter(line => line.trim() !== "");
+}
+
+// Finds the known name that is most similar to the specified name (ignoring case).  If several
+// names are equally similar then the first name satisfying the "isPreferred" function is chosen.
+// Returns null if no name is at least as similar as the fuzzy match threshold.
+
+function findClosestName(name, knownNames, isPreferred) {
+    let closestNames = didYouMean(name, knownNames, { threshold: FuzzyMatchThreshold, thresholdType: "similarity", returnType: "all-closest-matches", trimSpace: true });
+    if (closestNames === null || closestNames.length === 0)
+        return null;
+
+    let closestName = closestNames.find(isPreferred) || closestNames[0];
+    return { name: closestName, similarity: getSimilarity(name.trim().replace(/\s+/g, " ").toLowerCase(), closestName.trim().replace(/\s+/g, " ").toLowerCase()) };
+}
+
+// Calculates the similarity of two names (from 0 to 1) as the proportion of the longer name that
+// is unchanged by the edits that convert one name to the other.  This is the same similarity
+// measure that didYouMean compares against the fuzzy match threshold.
+
+function getSimilarity(name, otherName) {
+    if (name === "" || otherName === "")
+        return 0;
+    let longestLength = Math.max(name.length, otherName.length);
+    return (longestLength - getEditDistance(name, otherName)) / longestLength;
+}
+
+// Calculates the Levenshtein distance between two strings (the minimum number of single character
+// insertions, deletions and substitutions that convert one string to the other).
+
+function getEditDistance(text, otherText) {
+    let distances = Array.from({ length: otherText.length + 1 }, (value, index) => index);
+    for (let index = 1; index <= text.length; index++) {
+        let previousDiagonalDistance = distances[0];
+        distances[0] = index;
+        for (let otherIndex = 1; otherIndex <= otherText.length; otherIndex++) {
+            let diagonalDistance = previousDiagonalDistance;
+            previousDiagonalDistance = distances[otherIndex];
+            distances[otherIndex] = Math.min(
+                distances[otherIndex] + 1,  // deletion
+                distances[otherIndex - 1] + 1,  // insertion
+                diagonalDistance + ((text[index - 1] === otherText[otherIndex - 1]) ? 0 : 1));  // substitution
+        }
+    }
+    return distances[otherText.length];
+}
+
+// Makes the specified council the current council (whose configuration is used to retrieve and
+// parse the PDFs).
+
+function selectCouncil(councilId) {
+    Council = readCouncil(councilId);
+}
+
+// Reads the non-empty lines of one of the gazetteer files of the current council, ignoring (with a
+// warning) any lines that have fewer than the minimum number of columns.  Run "node gazetteer.js
+// lint" to find all the problems in the gazetteer files.
+
+function readGazetteerLines(name, minimumColumnCount) {
+    let fileName = getGazetteerFileName(Council, name);
+    let lines = [];
+    for (let line of fs.readFileSync(fileName).toString().replace(/\r/g, "").split("\n")) {
+        if (line.trim() === "")
+            continue;
+        let tokens = line.split(",");
+        if (tokens.length < minimumColumnCount || tokens.slice(0, minimumColumnCount).some(token => token.trim() === ""))
+            logger.warn(`Ignoring the malformed line "${line}" in ${fileName}.`, { stage: "address" });
+        else
+            lines.push(line);
+    }
+    return lines;
+}
+
+// Reads all the address information of the current council into global objects.
 
 function readAddressInformation() {
     StreetAndSuburbNames = {}
-    for (let line of fs.readFileSync("streetnames.txt").toString().replace(/\r/g, "").trim().split("\n")) {
+    for (let line of readGazetteerLines("streetNames", 2)) {
         let streetNameTokens = line.split(",");
         let streetName = streetNameTokens[0].trim().toLowerCase();
         let suburbName = streetNameTokens[1].trim();
@@ -172,20 +742,22 @@ function readAddressInformation() {
     }
 
     StreetSuffixes = {};
-    for (let line of fs.readFileSync("streetsuffixes.txt").toString().replace(/\r/g, "").trim().split("\n")) {
+    for (let line of readGazetteerLines("streetSuffixes", 2)) {
         let streetSuffixTokens = line.split(",");
         StreetSuffixes[streetSuffixTokens[0].trim().toLowerCase()] = streetSuffixTokens[1].trim();
     }
 
     SuburbNames = {};
     HundredSuburbNames = {};
-    for (let line of fs.readFileSync("suburbnames.txt").toString().replace(/\r/g, "").trim().split("\n")) {
+    for (let line of readGazetteerLines("suburbNames", 2)) {
         let suburbTokens = line.split(",");
         let suburbName = suburbTokens[0].trim().toLowerCase();
         let suburbStateAndPostCode = suburbTokens[1].trim();
         SuburbNames[suburbName] = suburbStateAndPostCode;
-        for (let hundredName of suburbTokens[2].split(";")) {
+        for (let hundredName of (suburbTokens[2] || "").split(";")) {  // the hundreds may be missing
             hundredName = hundredName.trim().toLowerCase();
+            if (hundredName === "")
+                continue;
             if (HundredSuburbNames[hundredName] === undefined)
                 HundredSuburbNames[hundredName] = [];
             HundredSuburbNames[hundredName].push(suburbStateAndPostCode);  // several suburbs may exist for the same hundred name
@@ -193,151 +765,710 @@ function readAddressInformation() {
     }
 }
 
-// Parses the development applications.
+// Parses the development applications of each council.
 
 async function main() {
+    RunSummary.startTime = moment();
+
     // Ensure that the database exists.
 
     let database = await initializeDatabase();
 
+    // Scrape each council in turn.  Stop if memory usage becomes too high (the PDFs of the
+    // remaining councils are then processed by the next run).
+
+    for (let councilId of getCouncilIds()) {
+        selectCouncil(councilId);
+        logger.info(`Scraping council: ${Council.name}`, { council: Council.id });
+        if (!await scrapeCouncil(database))
+            break;
+    }
+
+    await finishRun(database);
+}
+
+// Parses the development applications of the current council.  Returns false if memory usage
+// became too high to process all the queued PDFs.
+
+async function scrapeCouncil(database) {
     // Read all street, street suffix, suburb, state, post code and hundred information.
 
     readAddressInformation();
+    if (IsGeocodingEnabled)
+        readGeocodingInformation();
 
     // Retrieve the pages that contain the links to the PDFs.
 
-    let pdfUrls = [];
+    let failureCount = Failures.length;
+    let pdfUrls = await retrievePdfUrls(database);
+    let isPageFailed = (Failures.length > failureCount);  // the failure has already been recorded
 
-    for (let index = 1; index <= 10; index++) {  // search up to 10 pages
-        let url = DevelopmentApplicationsUrl.replace(/\{0\}/g, index.toString());
-        console.log(`Retrieving page: ${url}`);
+    // When replaying without any saved pages, process every PDF in the replay directory (this
+    // allows previously archived PDFs to be parsed on their own).
 
-        let body = await request({ url: url, proxy: process.env.MORPH_PROXY });
-        let $ = cheerio.load(body);
+    if (ReplayDirectory !== undefined && pdfUrls.length === 0)
+        pdfUrls = fs.readdirSync(getReplayDirectory()).filter(fileName => fileName.toLowerCase().endsWith(".pdf")).sort();
+
+    // A page without any links to PDFs is a layout problem (unless the page could not be
+    // retrieved, so that a network outage is not reported as a change to the web site).
 
-        for (let element of $("h3.generic-list__title a").get()) {
-            let pdfUrl = new urlparser.URL(element.attribs.href, DevelopmentApplicationsUrl).href;
-            if (pdfUrl.toLowerCase().includes(".pdf"))
-                if (!pdfUrls.some(url => url === pdfUrl))
-                    pdfUrls.push(pdfUrl);
+    if (pdfUrls.length === 0) {
+        if (!isPageFailed) {
+            logger.warn("No PDF URLs were found on the page.", { stage: "fetch", council: Council.id });
+            LayoutReports.push({ url: Council.developmentApplicationsUrl, problems: [ "No links to PDFs were found." ], statistics: null });
         }
+        return true;
+    }
+    logger.info(`Found ${pdfUrls.length} PDF URL(s) on the page.`, { stage: "fetch", council: Council.id });
+    RunSummary.pdfsDiscovered += pdfUrls.length;
+
+    // Queue the PDFs so that every PDF is eventually processed.  If a previous run was interrupted
+    // then the PDFs that it did not process are still queued and so are processed first.  When
+    // replaying, process all PDFs so that the results are reproducible.
+
+    let queuedPdfUrls = (ReplayDirectory === undefined) ? await queuePdfUrls(database, pdfUrls) : pdfUrls;
+    logger.info(`There are ${queuedPdfUrls.length} PDF(s) in the queue.`, { stage: "fetch", council: Council.id });
+
+    // Process the queued PDFs one at a time (or several at a time if a concurrency is specified).
+    // Stop taking PDFs from the queue if memory usage becomes too high (processing too many PDFs
+    // may otherwise exceed 512 MB, resulting in morph.io terminating the current process).  Any
+    // PDFs left in the queue are then processed by the next run.
+
+    let concurrency = Math.max(1, parseInt(getOption("concurrency", "MORPH_CONCURRENCY") || "1", 10));
+    let isMemoryExhausted = false;
+    let workers = [];
+
+    for (let index = 0; index < concurrency; index++) {
+        workers.push((async () => {
+            while (queuedPdfUrls.length > 0 && !isMemoryExhausted) {
+                if (!hasAvailableMemory()) {
+                    isMemoryExhausted = true;
+                    logger.warn(`Memory usage is too high; leaving ${queuedPdfUrls.length} PDF(s) in the queue for the next run.`, { stage: "fetch", council: Council.id });
+                    break;
+                }
+                await processPdf(database, queuedPdfUrls.shift());
+            }
+        })());
     }
 
-    if (pdfUrls.length === 0) {
-        console.log("No PDF URLs were found on the page.");
+    await Promise.all(workers);
+    return !isMemoryExhausted;
+}
+
+// Reports any problems found during this run and then the summary of this run.
+
+async function finishRun(database) {
+    reportLayoutProblems();
+    reportFailures();
+    await writeRunSummary(database);
+}
+
+// Writes the summary of this run to standard output and saves it in the "runs" table.
+
+async function writeRunSummary(database) {
+    measureMemory();
+    let finishTime = moment();
+    let summary = {
+        date_started: RunSummary.startTime.format("YYYY-MM-DD HH:mm:ss"),
+        date_finished: finishTime.format("YYYY-MM-DD HH:mm:ss"),
+        duration_seconds: finishTime.diff(RunSummary.startTime, "milliseconds") / 1000,
+        pages_fetched: RunSummary.pagesFetched,
+        pdfs_discovered: RunSummary.pdfsDiscovered,
+        pdfs_processed: RunSummary.pdfsProcessed,
+        pdfs_skipped: RunSummary.pdfsSkipped,
+        applications_parsed: RunSummary.applicationsParsed,
+        applications_saved: RunSummary.applicationsInserted + RunSummary.applicationsUpdated + RunSummary.applicationsUnchanged,
+        applications_inserted: RunSummary.applicationsInserted,
+        applications_updated: RunSummary.applicationsUpdated,
+        applications_unchanged: RunSummary.applicationsUnchanged,
+        applications_rejected: RunSummary.applicationsRejected,
+        applications_errored: RunSummary.applicationsErrored,
+        errors: Failures.length,
+        peak_memory_mb: Math.round(RunSummary.peakMemory / (1024 * 1024))
+    };
+
+    logger.info(`Run summary: fetched ${summary.pages_fetched} page(s), discovered ${summary.pdfs_discovered} PDF(s), processed ${summary.pdfs_processed} PDF(s) (skipped ${summary.pdfs_skipped}), parsed ${summary.applications_parsed} application(s), saved ${summary.applications_saved} (inserted ${summary.applications_inserted}, updated ${summary.applications_updated}, unchanged ${summary.applications_unchanged}), rejected ${summary.applications_rejected}, errored ${summary.applications_errored}, ${summary.errors} error(s), took ${summary.duration_seconds} second(s) and peaked at ${summary.peak_memory_mb} MB.`, { stage: "summary", summary: summary });
+
+    let columnNames = Object.keys(summary);
+    await executeSql(database, `insert into [runs] (${columnNames.map(columnName => `[${columnName}]`).join(", ")}) values (${columnNames.map(() => "?").join(", ")})`, columnNames.map(columnName => summary[columnName]));
+}
+
+// Summarises any pages or PDFs that could not be retrieved or processed (and any applications that
+// could not be saved) and, if there were any, sets a non-zero exit code.
+
+function reportFailures() {
+    if (RunSummary.applicationsErrored > 0) {
+        logger.error(`${RunSummary.applicationsErrored} application(s) could not be saved.`);
+        process.exitCode = 1;
+    }
+
+    if (Failures.length === 0)
+        return;
+
+    logger.error(`${Failures.length} page(s) or document(s) could not be retrieved or processed:`);
+    for (let failure of Failures)
+        logger.error(`    ${failure.url} (${failure.stage}): ${failure.error}`, { stage: failure.stage, pdfUrl: failure.url, error: failure.error });
+    process.exitCode = 1;
+}
+
+// Writes a diagnostic report and sets a non-zero exit code if any layout problems were found (this
+// usually means that the council has changed the format of the web site or the PDFs).
+
+function reportLayoutProblems() {
+    if (LayoutReports.length === 0)
         return;
+
+    let reportFileName = getOption("diagnostics-file", "MORPH_DIAGNOSTICS_FILE") || "diagnostics.json";
+    fs.writeFileSync(reportFileName, JSON.stringify({ date: moment().format("YYYY-MM-DD HH:mm:ss"), documents: LayoutReports }, null, 2));
+    logger.error(`Layout problems were found in ${LayoutReports.length} document(s); see ${reportFileName}.`, { stage: "parse" });
+    process.exitCode = 1;
+}
+
+// Retrieves the pages that contain the links to the PDFs, following the pager of the council web
+// site until the last page is reached (or a page contains no new links to PDFs).  The title of
+// each link is recorded because this usually indicates the period covered by the PDF.
+
+async function retrievePdfUrls(database) {
+    let maximumPageCount = parseInt(getOption("maximum-pages", "MORPH_MAXIMUM_PAGES") || "50", 10);
+    let pageDelay = parseInt(getOption("page-delay", "MORPH_PAGE_DELAY") || "2000", 10);  // milliseconds
+    let lastPageNumber = null;
+    let pdfUrls = [];
+
+    for (let pageNumber = 1; pageNumber <= maximumPageCount; pageNumber++) {
+        if (lastPageNumber !== null && pageNumber > lastPageNumber)
+            break;  // the last page indicated by the pager has been reached
+
+        // Wait between pages to avoid overloading the council web site.
+
+        if (pageNumber > 1 && ReplayDirectory === undefined)
+            await sleep(pageDelay);
+
+        let url = Council.developmentApplicationsUrl.replace(/\{0\}/g, pageNumber.toString());
+        let body = null;
+        try {
+            body = await retrievePage(url, pageNumber);
+        } catch (error) {
+            logger.error(`Failed to retrieve page: ${url}`, { stage: "fetch", error: error });
+            Failures.push({ url: url, stage: "fetch", error: error.message });
+            break;
+        }
+        if (body === null)
+            break;  // there are no more saved pages to replay
+        RunSummary.pagesFetched++;
+        let $ = cheerio.load(body);
+
+        let newPdfUrlCount = 0;
+        for (let element of $(Council.linkSelector).get()) {
+            let pdfUrl = new urlparser.URL(element.attribs.href, Council.developmentApplicationsUrl).href;
+            if (pdfUrl.toLowerCase().includes(".pdf") && !pdfUrls.some(url => url === pdfUrl)) {
+                pdfUrls.push(pdfUrl);
+                newPdfUrlCount++;
+                if (ReplayDirectory === undefined)
+                    await insertListing(database, { pdfUrl: pdfUrl, title: $(element).text().trim(), pageUrl: url, pageNumber: pageNumber, scrapeDate: moment().format("YYYY-MM-DD") });
+            }
+        }
+
+        if (newPdfUrlCount === 0) {
+            logger.info("No new PDF URLs were found on the page.", { stage: "fetch" });
+            break;
+        }
+
+        // Determine the last page from the links in the pager (for example, the "Last" link).
+
+        for (let element of $(`a[href*='${Council.pageParameter}=']`).get()) {
+            let match = new RegExp(`${Council.pageParameter}=([0-9]+)`).exec(element.attribs.href);
+            if (match === null)
+                continue;  // for example, a link with an empty page number
+            let linkedPageNumber = parseInt(match[1], 10);
+            if (lastPageNumber === null || linkedPageNumber > lastPageNumber)
+                lastPageNumber = linkedPageNumber;
+        }
     }
-    console.log(`Found ${pdfUrls.length} PDF URL(s) on the page.`);
 
-    // Select the most recent PDF.  And randomly select one other PDF (avoid processing all PDFs
-    // at once because this may use too much memory, resulting in morph.io terminating the current
-    // process).
+    return pdfUrls;
+}
+
+// Waits for the specified number of milliseconds.
+
+function sleep(milliseconds) {
+    return new Promise(resolve => setTimeout(resolve, milliseconds));
+}
 
-    let selectedPdfUrls = [];
-    selectedPdfUrls.push(pdfUrls.shift());
-    if (pdfUrls.length > 0)
-        selectedPdfUrls.push(pdfUrls[getRandom(0, pdfUrls.length)]);
-    if (getRandom(0, 2) === 0)
-        selectedPdfUrls.reverse();
+// Retrieves, parses and saves the development applications from a single PDF.
 
-    for (let pdfUrl of selectedPdfUrls) {
-        console.log(`Retrieving document: ${pdfUrl}`);
+async function processPdf(database, pdfUrl) {
+    try {
+        logger.info(`${(ReplayDirectory === undefined) ? "Retrieving" : "Reading saved"} document: ${pdfUrl}`, { stage: "fetch", pdfUrl: pdfUrl });
+
+        // Skip the PDF if exactly the same content has already been processed.  Otherwise save a
+        // copy of the PDF in the archive.
+
+        let previousDocument = (ReplayDirectory === undefined) ? await selectRow(database, "select [etag], [last_modified] from [documents] where [url] = ? order by [date_fetched] desc limit 1", [ pdfUrl ]) : undefined;
+        let response = await retrievePdf(pdfUrl, previousDocument);
+        if (response.isNotModified) {
+            logger.info(`Skipping unmodified document: ${pdfUrl}`, { stage: "fetch", pdfUrl: pdfUrl });
+            RunSummary.pdfsSkipped++;
+            await updateQueue(database, pdfUrl, "completed");
+            return;
+        }
+
+        let pdfBuffer = response.body;
+        let fetchDate = moment().format("YYYY-MM-DD HH:mm:ss");
+        let sha256 = crypto.createHash("sha256").update(pdfBuffer).digest("hex");
+        if (ReplayDirectory === undefined) {
+            if (await selectRow(database, "select [url] from [documents] where [url] = ? and [sha256] = ?", [ pdfUrl, sha256 ]) !== undefined) {
+                logger.info(`Skipping unchanged document: ${pdfUrl}`, { stage: "fetch", pdfUrl: pdfUrl });
+                RunSummary.pdfsSkipped++;
+                await updateQueue(database, pdfUrl, "completed");
+                return;
+            }
+            archivePdf(pdfBuffer, sha256);
+        }
 
         // Parse the PDF into a collection of PDF rows.  Each PDF row is simply an array of
         // strings, being the text that has been parsed from the PDF.
 
-        let pdfParser = new pdf2json();
-        let pdfPipe = request({ url: pdfUrl, proxy: process.env.MORPH_PROXY, encoding: null }).pipe(pdfParser);
-        pdfPipe.on("pdfParser_dataError", error => {
-            console.log("In pdfParser_dataError catch.");
-            console.log(error);
-        });
-        pdfPipe.on("pdfParser_dataReady", async pdf => {
+        let pdf = await parsePdf(pdfBuffer);
+        measureMemory();  // memory usage is usually highest while a PDF is being parsed
+        pdfBuffer = null;  // allow the memory to be reclaimed
+
+        logger.info(`Parsing document: ${pdfUrl}`, { stage: "parse", pdfUrl: pdfUrl });
+        let rows = convertPdfToText(pdf);
+        measureMemory();
+
+        let developmentApplications = parseApplications(rows, pdfUrl);
+        RunSummary.applicationsParsed += developmentApplications.length;
+
+        // The document date orders the PDFs (so that applications from an older PDF never replace
+        // those from a newer PDF).
+
+        let documentDate = developmentApplications.map(developmentApplication => developmentApplication.receivedDate).filter(receivedDate => receivedDate !== "").sort().pop() || "";
+
+        // Save each application (an application that cannot be saved is counted as errored and
+        // does not prevent the remaining applications from being saved).
+
+        let unnumberedCount = 0;
+        for (let developmentApplication of developmentApplications) {
+            if (developmentApplication.applicationNumber.trim() === "")
+                developmentApplication.position = ++unnumberedCount;  // distinguishes the applications without a number
+            developmentApplication.documentDate = documentDate;
             try {
-                // Convert the JSON representation of the PDF into a collection of PDF rows.
-
-                console.log(`Parsing document: ${pdfUrl}`);
-                let rows = convertPdfToText(pdf);
-
-                let developmentApplications = [];
-                let developmentApplication = null;
-                let isDescription = false;
-
-                for (let row of rows) {
-                    let text = (row.length === 0) ? "" : row[0].trim().toLowerCase();
-                    if (text.startsWith("application no")) {
-                        developmentApplication = {
-                            applicationNumber: row[1].trim(),
-                            address: "",
-                            description: "",
-                            informationUrl : pdfUrl,
-                            commentUrl: CommentUrl,
-                            scrapeDate : moment().format("YYYY-MM-DD"),
-                            receivedDate: "",
-                            houseNumber: "",
-                            streetName: "",
-                            suburbName: "",
-                            hundredName: ""
-                        }
-                        developmentApplications.push(developmentApplication);
-                        isDescription = false;
-                        for (let index = 2; index < row.length; index++) {
-                            let receivedDate = moment(row[index].trim(), "D/MM/YYYY", true);  // allows the leading zero of the day to be omitted
-                            if (receivedDate.isValid()) {
-                                developmentApplication.receivedDate = receivedDate.format("YYYY-MM-DD");
-                                break;
-                            }
-                        }
-                    } else if (developmentApplication !== null) {
-                        if (text.startsWith("property house no") && row.length >= 2 && row[1].trim() !== "0" && row[1].trim().toLowerCase() !== "building conditions") {
-                            developmentApplication.houseNumber = row[1].replace(/\+ü/g, " ").replace(/ü/g, " ").trim();
-                        } else if (text.startsWith("property street") && row.length >= 2 && row[1].trim() !== "0" && row[1].replace(/ü/g, " ").toUpperCase() === row[1].replace(/ü/g, " ")) {
-                            developmentApplication.streetName = row[1].replace(/\+ü/g, " ").replace(/ü/g, " ").trim();
-                        } else if (text.startsWith("property suburb") && row.length >= 2 && row[1].trim() !== "0" && row[1].trim().toLowerCase() != "lodgement fee - base amount" && row[1] === row[1].toUpperCase()) {
-                            developmentApplication.suburbName = row[1].trim();
-                        } else if (text.startsWith("hundred") && row.length >= 2 && row[1].trim() !== "0" && !row[1].trim().startsWith("$") && row[1] === row[1].toUpperCase()) {
-                            developmentApplication.hundredName = row[1].trim();
-                        } else if (text.startsWith("development description")) {
-                            isDescription = true;
-                        } else if (isDescription && text.startsWith("private certifier name")) {
-                            isDescription = false;
-                            developmentApplication = null;
-                        } else if (isDescription && row.length >= 1 && row[0].toUpperCase() === row[0]) {
-                            developmentApplication.description += ((developmentApplication.description === "") ? "" : " ") + row[0].trim();
-                        }
-                    }
-                }
+                let result = await saveApplication(database, developmentApplication);
+                let countName = { inserted: "applicationsInserted", updated: "applicationsUpdated", unchanged: "applicationsUnchanged", rejected: "applicationsRejected" }[result];
+                RunSummary[countName]++;
+            } catch (ex) {
+                logger.error(`    Failed to save application \"${developmentApplication.applicationNumber}\".`, { stage: "insert", pdfUrl: pdfUrl, applicationNumber: developmentApplication.applicationNumber, error: ex });
+                RunSummary.applicationsErrored++;
+            }
+        }
+
+        // Check that the PDF still has the expected layout (otherwise the applications may have
+        // been silently missed).
+
+        let statistics = computeStatistics(rows, developmentApplications);
+        let previousStatisticsRow = await selectRow(database, "select [statistics] from [documents] where [statistics] is not null and [council] = ? order by [date_fetched] desc limit 1", [ Council.id ]);
+        let problems = validateStatistics(statistics, (previousStatisticsRow === undefined) ? null : JSON.parse(previousStatisticsRow.statistics));
+        if (problems.length > 0) {
+            for (let problem of problems)
+                logger.warn(`    Layout problem in document ${pdfUrl}: ${problem}`, { stage: "parse", pdfUrl: pdfUrl });
+            LayoutReports.push({ url: pdfUrl, problems: problems, statistics: statistics });
+        }
+
+        if (ReplayDirectory === undefined) {
+            await insertDocument(database, { url: pdfUrl, sha256: sha256, fetchDate: fetchDate, pageCount: pdf.formImage.Pages.length, applicationCount: developmentApplications.length, statistics: statistics, etag: response.etag, lastModified: response.lastModified, council: Council.id });
+            await updateQueue(database, pdfUrl, "completed");
+        }
+
+        logger.info(`Parsed document: ${pdfUrl}`, { stage: "parse", pdfUrl: pdfUrl });
+        RunSummary.pdfsProcessed++;
+    } catch (ex) {
+        logger.error(`Failed to process document: ${pdfUrl}`, { stage: "parse", pdfUrl: pdfUrl, error: ex });
+        Failures.push({ url: pdfUrl, stage: "document", error: ex.message });
+        if (ReplayDirectory === undefined)
+            await updateQueue(database, pdfUrl, "failed");
+    }
+}
+
+// Formats the address of a development application (geocoding it if enabled), classifies its
+// description and then either saves it or records that it was rejected.  Returns "inserted",
+// "updated", "unchanged" or "rejected".
+
+async function saveApplication(database, developmentApplication) {
+    determineNoticePeriod(developmentApplication);
+    let addressDetails = {};
+    developmentApplication.address = formatAddress(developmentApplication.houseNumber, developmentApplication.streetName, developmentApplication.suburbName, developmentApplication.hundredName, addressDetails).trim().replace(/\s\s+/g, " ");
+    developmentApplication.corrections = addressDetails.corrections;
+    if (IsGeocodingEnabled && developmentApplication.address !== "") {
+        let location = geocodeAddress(addressDetails.houseNumber, addressDetails.streetName, addressDetails.suburbName);
+        if (location !== null) {
+            developmentApplication.latitude = location.latitude;
+            developmentApplication.longitude = location.longitude;
+            developmentApplication.geocodePrecision = location.precision;
+        }
+    }
+    for (let correction of addressDetails.corrections)
+        logger.info(`    Corrected the ${correction.field} \"${correction.original}\" to \"${correction.corrected}\" (similarity ${correction.similarity.toFixed(2)}) for application \"${developmentApplication.applicationNumber}\".`, { stage: "address", pdfUrl: developmentApplication.informationUrl, applicationNumber: developmentApplication.applicationNumber });
+    developmentApplication.address = developmentApplication.address.trim();
+    developmentApplication.description = developmentApplication.description.trim();
+    developmentApplication.applicationNumber = developmentApplication.applicationNumber.trim();
+    if (developmentApplication.description.trim() === "")
+        developmentApplication.description = "NO DESCRIPTION PROVIDED";
+    Object.assign(developmentApplication, classifyDescription(developmentApplication.description));
+    if (developmentApplication.applicationNumber.trim() === "") {
+        await insertRejection(database, developmentApplication, "missing-application-number");
+        return "rejected";
+    } else if (developmentApplication.address.trim() === "") {
+        await insertRejection(database, developmentApplication, addressDetails.reason || "invalid-address");
+        return "rejected";
+    } else
+        return await runExclusively(() => insertRow(database, developmentApplication));
+}
 
-                for (let developmentApplication of developmentApplications) {
-                    developmentApplication.address = formatAddress(developmentApplication.houseNumber, developmentApplication.streetName, developmentApplication.suburbName, developmentApplication.hundredName).trim().replace(/\s\s+/g, " ");
-                    developmentApplication.address = developmentApplication.address.trim();
-                    developmentApplication.description = developmentApplication.description.trim();
-                    developmentApplication.applicationNumber = developmentApplication.applicationNumber.trim();
-                    if (developmentApplication.description.trim() === "")
-                        developmentApplication.description = "NO DESCRIPTION PROVIDED";
-                    if (developmentApplication.applicationNumber.trim() !== "" && developmentApplication.address.trim() !== "")
-                        await insertRow(database, developmentApplication);
+// Parses the development applications from the rows of a PDF.  Each application record starts
+// with an "Application No" row, followed by labelled rows (such as "Property Street") and then the
+// description rows (which end at the "Private Certifier Name" row).  The labels are those
+// configured for the current council.
+
+function parseApplications(rows, pdfUrl) {
+    let labels = Council.labels;
+    let developmentApplications = [];
+    let developmentApplication = null;
+    let isDescription = false;
+
+    for (let row of rows) {
+        let text = (row.length === 0) ? "" : row[0].trim().toLowerCase();
+        if (text.startsWith(labels.applicationNumber)) {
+            developmentApplication = {
+                applicationNumber: (row.length >= 2) ? row[1].trim() : "",
+                address: "",
+                description: "",
+                informationUrl : pdfUrl,
+                commentUrl: Council.commentUrl,
+                council: Council.id,
+                scrapeDate : moment().format("YYYY-MM-DD"),
+                receivedDate: "",
+                houseNumber: "",
+                streetName: "",
+                suburbName: "",
+                hundredName: "",
+                privateCertifierName: "",
+                lot: "",
+                section: "",
+                plan: "",
+                fees: [],
+                decisions: [],
+                notificationCategory: "",
+                noticeFromDate: "",
+                noticeToDate: "",
+                latitude: null,
+                longitude: null,
+                geocodePrecision: null
+            }
+            developmentApplications.push(developmentApplication);
+            isDescription = false;
+            for (let index = 2; index < row.length; index++) {
+                let receivedDate = moment(row[index].trim(), Council.dateFormat, true);
+                if (receivedDate.isValid()) {
+                    developmentApplication.receivedDate = receivedDate.format("YYYY-MM-DD");
+                    break;
                 }
+            }
+            parseLabelledFields(row, developmentApplication);
+        } else if (developmentApplication !== null) {
+            parseLabelledFields(row, developmentApplication);
+            let parcelFieldName = [ "lot", "section", "plan" ].find(fieldName => text === labels[fieldName]);
+            if (text.startsWith(labels.houseNumber) && row.length >= 2 && row[1].trim() !== "0" && !isLabel(row[1])) {
+                developmentApplication.houseNumber = row[1].replace(/\+ü/g, " ").replace(/ü/g, " ").trim();
+            } else if (text.startsWith(labels.streetName) && row.length >= 2 && row[1].trim() !== "0" && row[1].replace(/ü/g, " ").toUpperCase() === row[1].replace(/ü/g, " ")) {
+                developmentApplication.streetName = row[1].replace(/\+ü/g, " ").replace(/ü/g, " ").trim();
+            } else if (text.startsWith(labels.suburbName) && row.length >= 2 && row[1].trim() !== "0" && !labels.ignoredSuburbNames.includes(row[1].trim().toLowerCase()) && row[1] === row[1].toUpperCase()) {
+                developmentApplication.suburbName = row[1].trim();
+            } else if (text.startsWith(labels.hundredName) && row.length >= 2 && row[1].trim() !== "0" && !row[1].trim().startsWith("$") && row[1] === row[1].toUpperCase()) {
+                developmentApplication.hundredName = row[1].trim();
+            } else if (parcelFieldName !== undefined && row.length >= 2 && row[1].trim() !== "0" && row[1] === row[1].toUpperCase()) {
+                developmentApplication[parcelFieldName] = row[1].trim();
+            } else if (text.startsWith(labels.description)) {
+                isDescription = true;
+            } else if (isDescription && text.startsWith(labels.privateCertifierName)) {
+                if (row.length >= 2)
+                    developmentApplication.privateCertifierName = row[1].trim();
+                isDescription = false;
+                developmentApplication = null;
+            } else if (isDescription && row.length >= 1 && row[0].toUpperCase() === row[0]) {
+                developmentApplication.description += ((developmentApplication.description === "") ? "" : " ") + row[0].trim();
+            }
+        }
+    }
 
-                console.log(`Parsed document: ${pdfUrl}`);
+    return developmentApplications;
+}
 
-                // Attempt to avoid reaching 512 MB memory usage (this will otherwise result in
-                // the current process being terminated by morph.io).
+// Computes statistics about the development applications parsed from a PDF: the number of
+// applications, the share of applications that have each field and any labels that were not
+// recognised.
 
-                if (global.gc)
-                    global.gc();
-            } catch (ex) {
-                console.log("In pdfParser_dataReady catch.");
-                console.log(ex);
+function computeStatistics(rows, developmentApplications) {
+    let fieldRatios = {};
+    for (let fieldName of StatisticsFields) {
+        let count = developmentApplications.filter(developmentApplication => developmentApplication[fieldName] !== "" && developmentApplication[fieldName] !== "NO DESCRIPTION PROVIDED").length;
+        fieldRatios[fieldName] = (developmentApplications.length === 0) ? 0 : (count / developmentApplications.length);
+    }
+
+    // A label is assumed to be mixed case text in the first column that is not followed by a
+    // dollar amount (a fee) and is not one of the known labels (descriptions are upper case).
+
+    let unrecognisedLabels = [];
+    for (let row of rows) {
+        let text = (row.length === 0) ? "" : row[0].trim();
+        if (/[a-z]/.test(text) && /^[A-Za-z]/.test(text) && !isLabel(text) && !(row.length >= 2 && row[1].trim().startsWith("$")) && !unrecognisedLabels.includes(text))
+            unrecognisedLabels.push(text);
+    }
+
+    return { applicationCount: developmentApplications.length, fieldRatios: fieldRatios, unrecognisedLabels: unrecognisedLabels };
+}
+
+// Validates the statistics of a PDF against the configured thresholds and against the statistics
+// of the previously processed PDF (if any), returning a description of each problem found.
+
+function validateStatistics(statistics, previousStatistics) {
+    let minimumApplicationCount = parseInt(getOption("minimum-applications", "MORPH_MINIMUM_APPLICATIONS") || "1", 10);
+    let minimumFieldRatio = parseFloat(getOption("minimum-field-ratio", "MORPH_MINIMUM_FIELD_RATIO") || "0.5");
+    let maximumFieldRatioDrop = parseFloat(getOption("maximum-field-ratio-drop", "MORPH_MAXIMUM_FIELD_RATIO_DROP") || "0.3");
+    let maximumUnrecognisedLabelCount = parseInt(getOption("maximum-unrecognised-labels", "MORPH_MAXIMUM_UNRECOGNISED_LABELS") || "5", 10);
+
+    let problems = [];
+    if (statistics.applicationCount < minimumApplicationCount)
+        problems.push(`Only ${statistics.applicationCount} application(s) were found (expected at least ${minimumApplicationCount}).`);
+    else {
+        for (let fieldName of RequiredStatisticsFields)
+            if (statistics.fieldRatios[fieldName] < minimumFieldRatio)
+                problems.push(`Only ${Math.round(statistics.fieldRatios[fieldName] * 100)}% of applications have the "${fieldName}" field (expected at least ${Math.round(minimumFieldRatio * 100)}%).`);
+        if (previousStatistics !== null && previousStatistics.applicationCount > 0) {
+            for (let fieldName of StatisticsFields)
+                if (previousStatistics.fieldRatios[fieldName] - statistics.fieldRatios[fieldName] > maximumFieldRatioDrop)
+                    problems.push(`The share of applications with the "${fieldName}" field dropped from ${Math.round(previousStatistics.fieldRatios[fieldName] * 100)}% to ${Math.round(statistics.fieldRatios[fieldName] * 100)}%.`);
+        }
+    }
+    if (statistics.unrecognisedLabels.length > maximumUnrecognisedLabelCount)
+        problems.push(`There are ${statistics.unrecognisedLabels.length} unrecognised labels (expected at most ${maximumUnrecognisedLabelCount}): ${statistics.unrecognisedLabels.join(", ")}.`);
+    return problems;
+}
+
+// Parses any fees (a description followed by a dollar amount, for example, "Lodgement Fee - Base
+// Amount" and "$62.50"), any decisions (a decision label followed by a date and/or a status, for
+// example, "Development Approval", "14/06/2018" and "Approved") and any public notification details
+// (for example, "Notification Category" and "Category 2") that appear in a row.
+
+function parseLabelledFields(row, developmentApplication) {
+    let labels = Council.labels;
+    for (let index = 0; index < row.length; index++) {
+        let text = row[index].trim();
+        if (labels.decision.includes(text.toLowerCase())) {
+            let decision = { name: text, date: "", status: "" };
+            while (index + 1 < row.length && !isLabel(row[index + 1])) {
+                let value = row[++index].trim();
+                let date = moment(value, Council.dateFormat, true);
+                if (date.isValid())
+                    decision.date = date.format("YYYY-MM-DD");
+                else if (value !== "")
+                    decision.status = (decision.status === "") ? value : (decision.status + " " + value);
             }
+            if (decision.date !== "" || decision.status !== "")
+                developmentApplication.decisions.push(decision);
+        } else if (labels.notification.hasOwnProperty(text.toLowerCase())) {
+            let values = [];
+            while (index + 1 < row.length && !isLabel(row[index + 1]))
+                values.push(row[++index].trim());
+            parseNotification(labels.notification[text.toLowerCase()], values.join(" "), developmentApplication);
+        } else if (index + 1 < row.length && text !== "" && !text.startsWith("$") && !isLabel(text) && /^\$[0-9,]+(\.[0-9]{2})?$/.test(row[index + 1].trim())) {
+            developmentApplication.fees.push({ description: text, amount: parseFloat(row[++index].trim().replace(/[$,]/g, "")) });
+        }
+    }
+}
+
+// Determines whether the text is one of the labels that appear in an application record (the
+// record labels, decision labels and public notification labels configured for the council).
+// Decision labels are followed by a date and/or a status (such as "Approved").
+
+function isLabel(text) {
+    let labels = Council.labels;
+    text = text.trim().toLowerCase();
+    return labels.record.includes(text) || labels.decision.includes(text) || labels.notification.hasOwnProperty(text);
+}
+
+// Creates a regular expression that finds all the dates in the specified moment format (for
+// example, "D/M/YYYY" finds "12/6/2018" and "12/06/2018").
+
+function getDateExpression(dateFormat) {
+    let tokenPatterns = { "YYYY": "[0-9]{4}", "YY": "[0-9]{2}", "MM": "[0-9]{2}", "M": "[0-9]{1,2}", "DD": "[0-9]{2}", "D": "[0-9]{1,2}" };
+    let pattern = dateFormat.replace(/[.*+?^${}()|[\]\\]/g, "\\$&").replace(/YYYY|YY|MM|M|DD|D/g, token => tokenPatterns[token]);
+    return new RegExp(pattern, "g");
+}
+
+// Parses the value of a public notification field.  The field is either the notification category
+// (for example, "Category 2" or "Cat 3"), the date that public notice was given, the date that
+// representations close or the representation period (for example, "12/06/2018 - 26/06/2018").
+// The dates are in the notification date format of the council.
+
+function parseNotification(field, value, developmentApplication) {
+    let dateFormat = Council.notificationDateFormat || Council.dateFormat;
+    let dates = (value.match(getDateExpression(dateFormat)) || []).map(text => moment(text, dateFormat, true)).filter(date => date.isValid()).map(date => date.format("YYYY-MM-DD"));
+    if (field === "category") {
+        let match = /\b([123])\b/.exec(value);
+        if (match !== null)
+            developmentApplication.notificationCategory = match[1];
+    } else if (field === "from" && dates.length >= 1)
+        developmentApplication.noticeFromDate = dates[0];
+    else if (field === "to" && dates.length >= 1)
+        developmentApplication.noticeToDate = dates[0];
+    else if (field === "period" && dates.length >= 2) {
+        developmentApplication.noticeFromDate = dates[0];
+        developmentApplication.noticeToDate = dates[1];
+    }
+}
+
+// Determines the period during which representations may be made about a development application.
+// Dates given in the PDF are always used.  Otherwise, a category 2 or 3 application is publicly
+// notified and representations may be made within 10 business days of the notice being given (see
+// the Development Regulations 2008), so the end of the notice period is derived as 10 business days
+// after the start (weekends are skipped, but public holidays are not).  If the start of the notice
+// period is not given for a category 2 or 3 application then the date that the application was
+// received is used.  Category 1 applications are not publicly notified.
+
+function determineNoticePeriod(developmentApplication) {
+    let isNotified = (developmentApplication.notificationCategory === "2" || developmentApplication.notificationCategory === "3");
+    if (developmentApplication.noticeFromDate === "" && isNotified)
+        developmentApplication.noticeFromDate = developmentApplication.receivedDate;
+    if (developmentApplication.noticeToDate === "" && developmentApplication.noticeFromDate !== "" && isNotified)
+        developmentApplication.noticeToDate = addBusinessDays(developmentApplication.noticeFromDate, 10);
+}
+
+// Adds the specified number of business days (skipping Saturdays and Sundays) to a date in the
+// format "YYYY-MM-DD".
+
+function addBusinessDays(dateText, dayCount) {
+    let date = moment(dateText, "YYYY-MM-DD", true);
+    while (dayCount > 0) {
+        date.add(1, "days");
+        if (date.isoWeekday() <= 5)
+            dayCount--;
+    }
+    return date.format("YYYY-MM-DD");
+}
+
+// Parses the content of a PDF into its JSON representation (waiting until parsing is complete).
+
+function parsePdf(pdfBuffer) {
+    return new Promise((resolve, reject) => {
+        let pdfParser = new pdf2json();
+        pdfParser.on("pdfParser_dataError", error => {
+            let message = (error && error.parserError !== undefined) ? error.parserError : error;  // pdf2json reports the error as a string
+            reject((message instanceof Error) ? message : new Error(String(message)));
         });
+        pdfParser.on("pdfParser_dataReady", pdf => resolve(pdf));
+        pdfParser.parseBuffer(pdfBuffer);
+    });
+}
+
+// Adds the PDF URLs to the queue and returns the queued PDF URLs that have not yet been processed,
+// in the order that they were queued.  A new pass over all the PDF URLs is started once every PDF
+// URL queued by the previous pass has been processed.
+
+async function queuePdfUrls(database, pdfUrls) {
+    let pendingRows = await selectRows(database, "select [url] from [queue] where [status] = 'pending' and [council] = ?", [ Council.id ]);
+    if (pendingRows.length === 0)
+        await executeSql(database, "delete from [queue] where [council] = ?", [ Council.id ]);
+
+    let queueDate = moment().format("YYYY-MM-DD HH:mm:ss");
+    for (let index = 0; index < pdfUrls.length; index++)
+        await executeSql(database, "insert or ignore into [queue] values (?, ?, 'pending', ?, null, ?)", [ pdfUrls[index], index, queueDate, Council.id ]);
+
+    return (await selectRows(database, "select [url] from [queue] where [status] = 'pending' and [council] = ? order by [position]", [ Council.id ])).map(row => row.url);
+}
+
+// Updates the status of a PDF URL in the queue (for example, "completed" or "failed").
+
+async function updateQueue(database, pdfUrl, status) {
+    await executeSql(database, "update [queue] set [status] = ?, [date_completed] = ? where [url] = ?", [ status, moment().format("YYYY-MM-DD HH:mm:ss"), pdfUrl ]);
+}
+
+// Determines whether there is enough memory available to process another PDF.  The limit (in MB)
+// can be changed using the "--maximum-memory" option or MORPH_MAXIMUM_MEMORY environment variable.
+
+function hasAvailableMemory() {
+    // Attempt to reclaim memory first (this requires node to be started with --expose-gc).
+
+    if (global.gc)
+        global.gc();
+
+    let maximumMemory = parseInt(getOption("maximum-memory", "MORPH_MAXIMUM_MEMORY") || "400", 10);
+    let memoryUsage = measureMemory();
+    logger.debug(`Memory usage: ${Math.round(memoryUsage.rss / (1024 * 1024))} MB (heap ${Math.round(memoryUsage.heapUsed / (1024 * 1024))} MB).`);
+    return memoryUsage.rss < maximumMemory * 1024 * 1024;
+}
+
+// Gets the current memory usage, recording the peak memory usage for the summary of this run.
+
+function measureMemory() {
+    let memoryUsage = process.memoryUsage();
+    RunSummary.peakMemory = Math.max(RunSummary.peakMemory, memoryUsage.rss);
+    return memoryUsage;
+}
+
+// Retrieves a page that contains links to the PDFs.  When replaying, the page is instead read
+// from a saved file named "page-1.html", "page-2.html" and so on (null is returned if there is
+// no such saved file).
+
+async function retrievePage(url, pageNumber) {
+    if (ReplayDirectory === undefined) {
+        logger.info(`Retrieving page: ${url}`, { stage: "fetch" });
+        return (await Fetcher.fetch(url, { userAgent: UserAgent || Council.userAgent })).body;
     }
+
+    let fileName = path.join(getReplayDirectory(), `page-${pageNumber}.html`);
+    if (!fs.existsSync(fileName))
+        return null;
+    logger.info(`Reading saved page: ${fileName}`, { stage: "fetch" });
+    return fs.readFileSync(fileName).toString();
+}
+
+// Retrieves the content of a PDF (either from the council web site or, when replaying, from the
+// saved file).  If the PDF was previously retrieved then a conditional request is made using its
+// ETag and last modified date, in which case the result may indicate that the PDF is unmodified.
+
+async function retrievePdf(pdfUrl, previousDocument) {
+    if (ReplayDirectory === undefined)
+        return await Fetcher.fetch(pdfUrl, { encoding: null, userAgent: UserAgent || Council.userAgent, etag: previousDocument && previousDocument.etag, lastModified: previousDocument && previousDocument.last_modified });
+    else
+        return { isNotModified: false, body: fs.readFileSync(getReplayFileName(pdfUrl)), etag: null, lastModified: null };
 }
 
-// Gets a random integer in the specified range: [minimum, maximum).
+// Saves a copy of a PDF in the archive directory (named using the SHA-256 hash of the content of
+// the PDF, so identical PDFs are only saved once).
 
-function getRandom(minimum, maximum) {
-    return Math.floor(Math.random() * (Math.floor(maximum) - Math.ceil(minimum))) + Math.ceil(minimum);
+function archivePdf(pdfBuffer, sha256) {
+    let fileName = path.join(ArchiveDirectory, `${sha256}.pdf`);
+    if (!fs.existsSync(ArchiveDirectory))
+        fs.mkdirSync(ArchiveDirectory);
+    if (!fs.existsSync(fileName))
+        fs.writeFileSync(fileName, pdfBuffer);
+}
+
+// Gets the name of the saved file in the replay directory for the specified PDF URL.  This is the
+// last segment of the URL path, for example, "DA%20Register%20May%202018.pdf" becomes
+// "DA Register May 2018.pdf".
+
+function getReplayFileName(pdfUrl) {
+    let fileName = /^https?:/i.test(pdfUrl) ? decodeURIComponent(new urlparser.URL(pdfUrl).pathname.split("/").pop()) : pdfUrl;
+    return path.join(getReplayDirectory(), fileName);
+}
+
+// Gets the replay directory of the current council.  This is the subdirectory named after the
+// council (for example, "fixtures/port-pirie") if it exists, otherwise the replay directory itself.
+
+function getReplayDirectory() {
+    let councilDirectory = path.join(ReplayDirectory, Council.id);
+    return fs.existsSync(councilDirectory) ? councilDirectory : ReplayDirectory;
 }
 
 // Convert a parsed PDF into an array of rows.  This function is based on pdf2table by Sam Decrock.
@@ -477,4 +1608,11 @@ function convertPdfToText(pdf) {
     return rows;
 }
 
-main().catch(error => console.error(error));
+if (require.main === module) {
+    main().catch(error => {
+        logger.error("The scraper failed.", { error: error });
+        process.exitCode = 1;
+    });
+}
+
+module.exports = { selectCouncil, readAddressInformation, formatAddress, convertPdfToText, parseApplications, determineNoticePeriod };
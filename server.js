@@ -0,0 +1,111 @@
+// Serves the development applications saved in the database by the scraper as JSON over HTTP.
+// For example, run "node server.js --port 8080" and then request
+//
+//     /applications?page=1&page_size=20&suburb=PORT%20PIRIE&from=2018-06-01&to=2018-06-30&q=verandah
+//     /applications?category=land%20division
+//     /applications/310%2F001%2F18
+//     /status
+
+"use strict";
+
+let http = require("http");
+let urlparser = require("url");
+let { getOption } = require("./options");
+let { openDatabase, selectRows, validateApplicationFilter, createApplicationFilter } = require("./database");
+
+const MaximumPageSize = 100;
+
+// The query parameters of a request to list development applications.
+
+const ListParameterNames = [ "page", "page_size", "suburb", "from", "to", "q", "category" ];
+
+// Lists a page of development applications, optionally filtered by suburb, by a range of received
+// dates, by text that appears in the description and by category (see createApplicationFilter in
+// "database.js").
+
+async function listApplications(database, query) {
+    for (let name of ListParameterNames)
+        if (query[name] !== undefined && typeof query[name] !== "string")
+            return { statusCode: 400, body: { error: `The "${name}" parameter must not be given more than once.` } };
+    let problem = validateApplicationFilter(query);
+    if (problem !== null)
+        return { statusCode: 400, body: { error: problem } };
+
+    let page = parseInt(query.page || "1", 10);
+    let pageSize = parseInt(query.page_size || "20", 10);
+    if (isNaN(page) || page < 1 || isNaN(pageSize) || pageSize < 1 || pageSize > MaximumPageSize)
+        return { statusCode: 400, body: { error: `The page must be at least 1 and the page size must be from 1 to ${MaximumPageSize}.` } };
+
+    let { whereClause, parameters } = createApplicationFilter(query);
+    let count = (await selectRows(database, `select count(*) as [count] from [data]${whereClause}`, parameters))[0].count;
+    let applications = await selectRows(database, `select * from [data]${whereClause} order by [date_received] desc, [council_reference] limit ? offset ?`, parameters.concat([ pageSize, (page - 1) * pageSize ]));
+    return { statusCode: 200, body: { page: page, page_size: pageSize, total: count, applications: applications } };
+}
+
+// Gets a single development application by its council reference (for example, "310/001/18").
+
+async function getApplication(database, councilReference) {
+    let rows = await selectRows(database, "select * from [data] where [council_reference] = ?", [ councilReference ]);
+    if (rows.length === 0)
+        return { statusCode: 404, body: { error: `There is no application "${councilReference}".` } };
+    return { statusCode: 200, body: rows[0] };
+}
+
+// Gets the status of the scraper: the summary of its last run and which PDFs it has processed.
+
+async function getStatus(database) {
+    let documents = await selectRows(database, "select [url], [sha256], [date_fetched], [page_count], [application_count] from [documents] order by [date_fetched] desc", []);
+    let queue = await selectRows(database, "select [status], count(*) as [count] from [queue] group by [status]", []);
+    let hasRuns = (await selectRows(database, "select [name] from [sqlite_master] where [type] = 'table' and [name] = 'runs'", [])).length > 0;  // older databases have no runs table
+    let runs = hasRuns ? await selectRows(database, "select * from [runs] order by [date_started] desc limit 1", []) : [];
+    return { statusCode: 200, body: { last_run: (runs.length === 0) ? null : runs[0], queue: queue, documents: documents } };
+}
+
+// Handles a single HTTP request.
+
+async function handleRequest(database, request) {
+    if (request.method !== "GET")
+        return { statusCode: 405, body: { error: "Only GET requests are supported." } };
+
+    let url = urlparser.parse(request.url, true);
+    let pathName = url.pathname.replace(/\/+$/, "");
+    if (pathName === "/applications")
+        return await listApplications(database, url.query);
+    else if (pathName.startsWith("/applications/")) {
+        let councilReference;
+        try {
+            councilReference = decodeURIComponent(pathName.substring("/applications/".length));  // the reference may contain slashes
+        } catch (ex) {
+            if (ex instanceof URIError)
+                return { statusCode: 400, body: { error: "The application reference is not correctly encoded." } };
+            throw ex;
+        }
+        return await getApplication(database, councilReference);
+    }
+    else if (pathName === "/status")
+        return await getStatus(database);
+    else
+        return { statusCode: 404, body: { error: "Not found." } };
+}
+
+// Starts the HTTP server.  The database is opened read only so that the scraper can continue to
+// write to it.
+
+function main() {
+    let port = parseInt(getOption("port", "MORPH_PORT") || "8080", 10);
+    let database = openDatabase("data.sqlite", true);
+
+    let server = http.createServer((request, response) => {
+        handleRequest(database, request).catch(error => {
+            console.error(error);
+            return { statusCode: 500, body: { error: "An error occurred while reading the database." } };
+        }).then(result => {
+            response.writeHead(result.statusCode, { "Content-Type": "application/json; charset=utf-8" });
+            response.end(JSON.stringify(result.body, null, 2) + "\n");
+        });
+    });
+
+    server.listen(port, () => console.log(`Serving development applications at http://localhost:${port}/applications`));
+}
+
+main();
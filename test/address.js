@@ -0,0 +1,58 @@
+// Tests the formatting of addresses using the gazetteer files of the default council.
+
+"use strict";
+
+let assert = require("assert");
+let { selectCouncil, readAddressInformation, formatAddress } = require("../scraper");
+
+describe("formatAddress", () => {
+    before(() => {
+        selectCouncil("port-pirie");
+        readAddressInformation();
+    });
+
+    // Each test is the house number, street name, suburb name and hundred name of an address and
+    // the expected formatted address (empty if the address is invalid).
+
+    let tests = [
+        { name: "a complete address", address: [ "12", "ELLEN STREET", "PORT PIRIE", "HD OF PIRIE" ], expected: "12 ELLEN STREET, PORT PIRIE SA 5540" },
+        { name: "an abbreviated street suffix", address: [ "9", "GERTRUDE ST", "PORT PIRIE", "" ], expected: "9 GERTRUDE STREET, PORT PIRIE SA 5540" },
+        { name: "a street suffix of \" ROA\"", address: [ "3", "WANDEARAH ROA", "PORT PIRIE", "" ], expected: "3 WANDEARAH ROAD, PORT PIRIE SA 5540" },
+        { name: "a duplicated street suffix", address: [ "12", "ELLEN STREET STREET", "PORT PIRIE", "" ], expected: "12 ELLEN STREET, PORT PIRIE SA 5540" },
+        { name: "a duplicated street name", address: [ "12", "ELLEN ELLEN STREET", "PORT PIRIE", "" ], expected: "12 ELLEN STREET, PORT PIRIE SA 5540" },
+        { name: "a street of \"HD \" and a hundred in one suburb", address: [ "", "HD TELOWIE", "", "HD OF TELOWIE" ], expected: "GERMEIN BAY SA 5495" },
+        { name: "a street of \"HUNDRED \" and a hundred in several suburbs", address: [ "", "HUNDRED WANDEARAH", "", "HD OF WANDEARAH" ], expected: "LOWER BROUGHTON SA 5522" },
+        { name: "a street in several suburbs, one of which is in the hundred", address: [ "", "ABATTOIRS ROAD", "", "HD OF NAPPERBY" ], expected: "ABATTOIRS ROAD, WARNERTOWN SA 5540" },
+        { name: "a street in several suburbs, several of which are in the hundred", address: [ "", "WANDEARAH RD", "", "HD OF WANDEARAH" ], expected: "WANDEARAH ROAD, WANDEARAH EAST SA 5523" },
+        { name: "a street in several suburbs, none of which are in the hundred", address: [ "", "ABATTOIRS ROAD", "", "HD OF WANDEARAH" ], expected: "ABATTOIRS ROAD, BUNGAMA SA 5540" },
+        { name: "a street in several suburbs without a hundred", address: [ "", "ABATTOIRS ROAD", "", "" ], expected: "ABATTOIRS ROAD, BUNGAMA SA 5540" },
+        { name: "a street in one suburb without a suburb", address: [ "12", "ELLEN STREET", "", "HD OF WANDEARAH" ], expected: "12 ELLEN STREET, PORT PIRIE SA 5540" },
+        { name: "a misspelt suburb", address: [ "12", "ELLEN STREET", "PORT PIRE", "HD OF PIRIE" ], expected: "12 ELLEN STREET, PORT PIRIE SA 5540" },
+        { name: "a misspelt street without a suburb", address: [ "5", "ELLEN STEET", "", "" ], expected: "5 ELLEN STREET, PORT PIRIE SA 5540" },
+        { name: "a missing street", address: [ "12", "", "PORT PIRIE", "" ], expected: "" },
+        { name: "a street of \"0\"", address: [ "12", "0", "PORT PIRIE", "" ], expected: "" },
+        { name: "an unknown street without a suburb or hundred", address: [ "7", "NOWHERE ROAD", "", "" ], expected: "" }
+    ];
+
+    for (let test of tests) {
+        it(`formats ${test.name}`, () => {
+            assert.strictEqual(formatAddress(...test.address), test.expected);
+        });
+    }
+
+    it("reports the reason that an address is invalid", () => {
+        let details = {};
+        formatAddress("12", "", "PORT PIRIE", "", details);
+        assert.strictEqual(details.reason, "missing-street");
+        formatAddress("7", "NOWHERE ROAD", "", "", details);
+        assert.strictEqual(details.reason, "no-street-or-hundred-match");
+    });
+
+    it("reports the corrections of misspelt suburbs and streets", () => {
+        let details = {};
+        formatAddress("5", "ELLEN STEET", "PORT PIRE", "", details);
+        assert.deepStrictEqual(details.corrections.map(correction => [ correction.field, correction.corrected ]), [ [ "suburb", "PORT PIRIE SA 5540" ] ]);
+        formatAddress("5", "ELLEN STEET", "", "", details);
+        assert.deepStrictEqual(details.corrections.map(correction => [ correction.field, correction.corrected ]), [ [ "street", "ELLEN STREET" ] ]);
+    });
+});
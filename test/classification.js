@@ -0,0 +1,82 @@
+// Tests the classification of descriptions using the default classification rules.
+
+"use strict";
+
+let assert = require("assert");
+let { classifyDescription, countDwellings, countAllotments } = require("../classification");
+
+describe("classifyDescription", () => {
+    // Each test is a description and the expected category.
+
+    let tests = [
+        { name: "a dwelling on a vacant allotment", description: "DETACHED DWELLING ON VACANT ALLOTMENT", expected: "dwelling" },
+        { name: "a shed on an allotment", description: "SHED ON ALLOTMENT", expected: "outbuilding" },
+        { name: "a division of an allotment", description: "DIVISION OF 1 ALLOTMENT INTO 2", expected: "land division" },
+        { name: "a land division", description: "LAND DIVISION - 1 INTO 3 ALLOTMENTS", expected: "land division" },
+        { name: "the creation of allotments", description: "CREATE 4 ALLOTMENTS", expected: "land division" },
+        { name: "a boundary realignment", description: "BOUNDARY REALIGNMENT", expected: "land division" },
+        { name: "a demolition", description: "DEMOLITION OF EXISTING DWELLING", expected: "demolition" },
+        { name: "a demolition of several buildings", description: "DEMOLISH DWELLING AND OUTBUILDINGS", expected: "demolition" },
+        { name: "a demolition combined with new dwellings", description: "DEMOLITION OF SHED AND CONSTRUCTION OF TWO DWELLINGS", expected: "dwelling" },
+        { name: "a demolition combined with a new outbuilding", description: "DEMOLITION OF CARPORT, ERECTION OF SHED", expected: "outbuilding" },
+        { name: "an in-ground spa", description: "IN-GROUND SPA", expected: "swimming pool" },
+        { name: "a spa pool", description: "SPA POOL AND SAFETY FENCE", expected: "swimming pool" },
+        { name: "a business named \"... SPA\"", description: "SIGN FOR DAY SPA", expected: "signage" },
+        { name: "an unrecognised description", description: "TREE REMOVAL", expected: "other" }
+    ];
+
+    for (let test of tests) {
+        it(`classifies ${test.name}`, () => {
+            assert.strictEqual(classifyDescription(test.description).category, test.expected);
+        });
+    }
+
+    it("counts the dwellings of a demolition combined with new dwellings", () => {
+        let classification = classifyDescription("DEMOLITION OF SHED AND CONSTRUCTION OF TWO DWELLINGS");
+        assert.strictEqual(classification.dwellingCount, 2);
+        assert.strictEqual(classification.allotmentCount, null);
+    });
+
+    it("converts the description to sentence case", () => {
+        assert.strictEqual(classifyDescription("VERANDAH AND SHED.  CARPORT").normalisedDescription, "Verandah and shed. Carport");
+        assert.strictEqual(classifyDescription("DEMOLITION OF SHED AND CONSTRUCTION OF TWO DWELLINGS").normalisedDescription, "Demolition of shed and construction of two dwellings");
+    });
+});
+
+describe("countDwellings", () => {
+    // Each test is a description, its category and the expected number of dwellings (null if the
+    // application is not for dwellings).
+
+    let tests = [
+        { name: "a dwelling without a number", description: "DETACHED DWELLING", category: "dwelling", expected: 1 },
+        { name: "numbered group dwellings", description: "3 GROUP DWELLINGS", category: "dwelling", expected: 3 },
+        { name: "dwellings numbered in words", description: "CONSTRUCTION OF TWO DWELLINGS", category: "dwelling", expected: 2 },
+        { name: "numbered residential units", description: "4 RESIDENTIAL UNITS", category: "dwelling", expected: 4 },
+        { name: "units that are not dwellings", description: "SELF STORAGE SHEDS - 20 UNITS", category: "outbuilding", expected: null }
+    ];
+
+    for (let test of tests) {
+        it(`counts ${test.name}`, () => {
+            assert.strictEqual(countDwellings(test.description, test.category), test.expected);
+        });
+    }
+});
+
+describe("countAllotments", () => {
+    // Each test is a description and the expected number of allotments (null if not stated).
+
+    let tests = [
+        { name: "a division of an allotment into allotments", description: "DIVISION OF 1 ALLOTMENT INTO 2", expected: 2 },
+        { name: "a division into allotments", description: "LAND DIVISION - 1 INTO 3 ALLOTMENTS", expected: 3 },
+        { name: "a division numbered in words", description: "LAND DIVISION ONE INTO TWO", expected: 2 },
+        { name: "the creation of allotments", description: "CREATE 4 ALLOTMENTS", expected: 4 },
+        { name: "an unnumbered land division", description: "LAND DIVISION", expected: null },
+        { name: "a dwelling on an allotment", description: "DETACHED DWELLING ON VACANT ALLOTMENT", expected: null }
+    ];
+
+    for (let test of tests) {
+        it(`counts ${test.name}`, () => {
+            assert.strictEqual(countAllotments(test.description), test.expected);
+        });
+    }
+});
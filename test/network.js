@@ -0,0 +1,131 @@
+// Tests the retrieval of pages and documents (timeouts, retries and conditional requests) against
+// a local stub HTTP server.
+
+"use strict";
+
+let assert = require("assert");
+let http = require("http");
+let { createFetcher } = require("../network");
+
+describe("createFetcher", () => {
+    let server = null;
+    let baseUrl = null;
+    let requestCounts = {};
+    let requestHeaders = {};
+
+    // Starts a stub server that responds according to the path of each request: "/page" returns
+    // content with an ETag (or 304 for a matching conditional request), "/flaky" fails once before
+    // succeeding, "/missing" returns 404, "/unavailable" always returns 503 and "/slow" responds
+    // after a delay.
+
+    before(done => {
+        server = http.createServer((request, response) => {
+            requestCounts[request.url] = (requestCounts[request.url] || 0) + 1;
+            requestHeaders[request.url] = request.headers;
+            if (request.url === "/page") {
+                if (request.headers["if-none-match"] === "\"abc\"") {
+                    response.writeHead(304);
+                    response.end();
+                } else {
+                    response.writeHead(200, { "ETag": "\"abc\"", "Last-Modified": "Mon, 04 Jun 2018 00:00:00 GMT" });
+                    response.end("content");
+                }
+            } else if (request.url === "/flaky") {
+                response.writeHead((requestCounts[request.url] === 1) ? 500 : 200);
+                response.end("recovered");
+            } else if (request.url === "/unavailable") {
+                response.writeHead(503);
+                response.end();
+            } else if (request.url === "/slow") {
+                setTimeout(() => response.end("late"), 300);
+            } else {
+                response.writeHead(404);
+                response.end();
+            }
+        });
+        server.listen(0, "127.0.0.1", () => {
+            baseUrl = `http://127.0.0.1:${server.address().port}`;
+            done();
+        });
+    });
+
+    after(done => server.close(done));
+
+    beforeEach(() => {
+        requestCounts = {};
+        requestHeaders = {};
+    });
+
+    // Creates a fetcher with short delays so that the retries do not slow down the tests.
+
+    function createTestFetcher(options) {
+        return createFetcher(Object.assign({ timeout: 100, retryCount: 2, retryDelay: 10 }, options));
+    }
+
+    // Asserts that a promise is rejected, returning the error.
+
+    async function assertRejects(promise) {
+        try {
+            await promise;
+        } catch (error) {
+            return error;
+        }
+        assert.fail("The promise was not rejected.");
+    }
+
+    it("returns the content, ETag and last modified date", async () => {
+        let response = await createTestFetcher().fetch(`${baseUrl}/page`);
+        assert.strictEqual(response.statusCode, 200);
+        assert.strictEqual(response.isNotModified, false);
+        assert.strictEqual(response.body, "content");
+        assert.strictEqual(response.etag, "\"abc\"");
+        assert.strictEqual(response.lastModified, "Mon, 04 Jun 2018 00:00:00 GMT");
+    });
+
+    it("returns the content as a buffer when the encoding is null", async () => {
+        let response = await createTestFetcher().fetch(`${baseUrl}/page`, { encoding: null });
+        assert.ok(Buffer.isBuffer(response.body));
+        assert.strictEqual(response.body.toString(), "content");
+    });
+
+    it("indicates that the content is not modified for a matching conditional request", async () => {
+        let response = await createTestFetcher().fetch(`${baseUrl}/page`, { etag: "\"abc\"", lastModified: "Mon, 04 Jun 2018 00:00:00 GMT" });
+        assert.strictEqual(response.statusCode, 304);
+        assert.strictEqual(response.isNotModified, true);
+        assert.strictEqual(response.body, null);
+        assert.strictEqual(response.etag, "\"abc\"");
+        assert.strictEqual(requestHeaders["/page"]["if-modified-since"], "Mon, 04 Jun 2018 00:00:00 GMT");
+    });
+
+    it("sends the user agent of the fetcher unless the request specifies one", async () => {
+        let fetcher = createTestFetcher({ userAgent: "FetcherAgent/1.0" });
+        await fetcher.fetch(`${baseUrl}/page`);
+        assert.strictEqual(requestHeaders["/page"]["user-agent"], "FetcherAgent/1.0");
+        await fetcher.fetch(`${baseUrl}/page`, { userAgent: "RequestAgent/1.0" });
+        assert.strictEqual(requestHeaders["/page"]["user-agent"], "RequestAgent/1.0");
+    });
+
+    it("retries a server error", async () => {
+        let response = await createTestFetcher().fetch(`${baseUrl}/flaky`);
+        assert.strictEqual(response.body, "recovered");
+        assert.strictEqual(requestCounts["/flaky"], 2);
+    });
+
+    it("fails after retrying a server error the configured number of times", async () => {
+        let error = await assertRejects(createTestFetcher().fetch(`${baseUrl}/unavailable`));
+        assert.strictEqual(error.statusCode, 503);
+        assert.strictEqual(requestCounts["/unavailable"], 3);
+    });
+
+    it("does not retry a client error", async () => {
+        let error = await assertRejects(createTestFetcher().fetch(`${baseUrl}/missing`));
+        assert.strictEqual(error.statusCode, 404);
+        assert.strictEqual(requestCounts["/missing"], 1);
+    });
+
+    it("retries a request that times out", async () => {
+        let error = await assertRejects(createTestFetcher({ retryCount: 1 }).fetch(`${baseUrl}/slow`));
+        assert.strictEqual(error.statusCode, undefined);
+        assert.strictEqual(requestCounts["/slow"], 2);
+    });
+});
@@ -0,0 +1,33 @@
+// Tests the determination of the period during which representations may be made about a
+// development application.
+
+"use strict";
+
+let assert = require("assert");
+let { determineNoticePeriod } = require("../scraper");
+
+describe("determineNoticePeriod", () => {
+    // Each test is the notification category, the received date and the notice dates given in the
+    // PDF, and the expected notice dates.
+
+    let tests = [
+        { name: "uses the dates given in the PDF", application: [ "2", "2018-06-04", "2018-06-12", "2018-06-26" ], expected: [ "2018-06-12", "2018-06-26" ] },
+        { name: "derives the end of the notice period for a category 2 application", application: [ "2", "2018-06-04", "2018-06-12", "" ], expected: [ "2018-06-12", "2018-06-26" ] },
+        { name: "derives the end of the notice period for a category 3 application", application: [ "3", "2018-06-04", "2018-06-15", "" ], expected: [ "2018-06-15", "2018-06-29" ] },
+        { name: "skips weekends when deriving the end of the notice period", application: [ "2", "2018-06-04", "2018-06-09", "" ], expected: [ "2018-06-09", "2018-06-22" ] },
+        { name: "uses the received date when the start of the notice period is not given", application: [ "3", "2018-06-04", "", "" ], expected: [ "2018-06-04", "2018-06-18" ] },
+        { name: "does not derive a notice period for a category 1 application", application: [ "1", "2018-06-04", "", "" ], expected: [ "", "" ] },
+        { name: "does not derive the end of the notice period for a category 1 application", application: [ "1", "2018-06-04", "2018-06-12", "" ], expected: [ "2018-06-12", "" ] },
+        { name: "does not derive a notice period when the category is not given", application: [ "", "2018-06-04", "", "" ], expected: [ "", "" ] },
+        { name: "does not derive the end of the notice period when the category is not given", application: [ "", "2018-06-04", "2018-06-12", "" ], expected: [ "2018-06-12", "" ] },
+        { name: "does not derive a notice period without a received date", application: [ "2", "", "", "" ], expected: [ "", "" ] }
+    ];
+
+    for (let test of tests) {
+        it(test.name, () => {
+            let developmentApplication = { notificationCategory: test.application[0], receivedDate: test.application[1], noticeFromDate: test.application[2], noticeToDate: test.application[3] };
+            determineNoticePeriod(developmentApplication);
+            assert.deepStrictEqual([ developmentApplication.noticeFromDate, developmentApplication.noticeToDate ], test.expected);
+        });
+    }
+});
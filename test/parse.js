@@ -0,0 +1,143 @@
+// Tests the conversion of PDFs (as parsed by pdf2json) to rows of text and the parsing of the
+// development applications from those rows, using handcrafted PDF content.
+
+"use strict";
+
+let assert = require("assert");
+let { selectCouncil, convertPdfToText, parseApplications } = require("../scraper");
+
+const PdfUrl = "https://www.pirie.sa.gov.au/register.pdf";
+
+// Creates the content of a PDF (in the same form as pdf2json) from the rows of text on each page.
+// Each row is laid out from left to right with the same Y co-ordinate.
+
+function createPdf(pages) {
+    return {
+        formImage: {
+            Pages: pages.map(rows => ({
+                Texts: [].concat(...rows.map((row, rowIndex) => row.map((text, columnIndex) => ({
+                    x: 1 + columnIndex * 6.25,
+                    y: 1.875 + rowIndex * 0.75,
+                    R: [ { T: encodeURIComponent(text) } ]
+                }))))
+            }))
+        }
+    };
+}
+
+// Creates the rows of a typical application record.
+
+function createApplicationRows(applicationNumber, houseNumber, streetName, suburbName, descriptionRows) {
+    return [
+        [ "Application No", applicationNumber, "Application Date", "4/06/2018", "Planning Approval", "12/06/2018", "Approved" ],
+        [ "Applicants Name", "SMITH J", "Application received", "4/06/2018", "Building Approval" ],
+        [ "Property House No", houseNumber, "Building Conditions", "0" ],
+        [ "Property Street", streetName, "Fees", "Amount Due" ],
+        [ "Property Suburb", suburbName, "Lodgement Fee - Base Amount", "$62.50" ],
+        [ "Hundred", "HD OF PIRIE", "Building Rules Assessment", "$72.00" ],
+        [ "Development Description" ]
+    ].concat(descriptionRows.map(descriptionRow => [ descriptionRow ])).concat([
+        [ "Private Certifier Name", "KBS CONSULTANTS" ]
+    ]);
+}
+
+describe("convertPdfToText", () => {
+    it("groups the texts of each page into rows ordered by their co-ordinates", () => {
+        let pdf = createPdf([ [ [ "Application No", "310/001/18" ], [ "Property Street", "ELLEN STREET" ] ] ]);
+        pdf.formImage.Pages[0].Texts.reverse();
+        assert.deepStrictEqual(convertPdfToText(pdf), [ [ "Application No", "310/001/18" ], [ "Property Street", "ELLEN STREET" ] ]);
+    });
+
+    it("appends the rows of each page in turn", () => {
+        let pdf = createPdf([ [ [ "Application No", "310/001/18" ], [ "Lot", "12" ] ], [ [ "Section", "345" ], [ "Plan", "D1234" ] ] ]);
+        assert.deepStrictEqual(convertPdfToText(pdf), [ [ "Application No", "310/001/18" ], [ "Lot", "12" ], [ "Section", "345" ], [ "Plan", "D1234" ] ]);
+    });
+
+    it("decodes the text", () => {
+        let pdf = createPdf([ [ [ "Property Street", "ELLENüSTREET" ], [ "Lodgement Fee - Base Amount", "$62.50" ] ] ]);
+        assert.deepStrictEqual(convertPdfToText(pdf), [ [ "Property Street", "ELLENüSTREET" ], [ "Lodgement Fee - Base Amount", "$62.50" ] ]);
+    });
+});
+
+describe("parseApplications", () => {
+    before(() => selectCouncil("port-pirie"));
+
+    // Parses the applications in a handcrafted PDF.
+
+    function parsePdf(pages) {
+        return parseApplications(convertPdfToText(createPdf(pages)), PdfUrl);
+    }
+
+    it("parses the fields of an application", () => {
+        let developmentApplications = parsePdf([ createApplicationRows("310/001/18", "12", "ELLEN STREET", "PORT PIRIE", [ "VERANDAH" ]) ]);
+        assert.strictEqual(developmentApplications.length, 1);
+        let developmentApplication = developmentApplications[0];
+        assert.strictEqual(developmentApplication.applicationNumber, "310/001/18");
+        assert.strictEqual(developmentApplication.receivedDate, "2018-06-04");
+        assert.strictEqual(developmentApplication.houseNumber, "12");
+        assert.strictEqual(developmentApplication.streetName, "ELLEN STREET");
+        assert.strictEqual(developmentApplication.suburbName, "PORT PIRIE");
+        assert.strictEqual(developmentApplication.hundredName, "HD OF PIRIE");
+        assert.strictEqual(developmentApplication.description, "VERANDAH");
+        assert.strictEqual(developmentApplication.privateCertifierName, "KBS CONSULTANTS");
+        assert.strictEqual(developmentApplication.informationUrl, PdfUrl);
+        assert.deepStrictEqual(developmentApplication.fees, [ { description: "Lodgement Fee - Base Amount", amount: 62.5 }, { description: "Building Rules Assessment", amount: 72 } ]);
+        assert.deepStrictEqual(developmentApplication.decisions, [ { name: "Planning Approval", date: "2018-06-12", status: "Approved" } ]);
+    });
+
+    it("joins a description that spans several lines", () => {
+        let developmentApplications = parsePdf([ createApplicationRows("310/001/18", "12", "ELLEN STREET", "PORT PIRIE", [ "VERANDAH AND", "GARAGE", "(SHED)" ]) ]);
+        assert.strictEqual(developmentApplications[0].description, "VERANDAH AND GARAGE (SHED)");
+    });
+
+    it("replaces the \"ü\" glyphs in house numbers and street names with spaces", () => {
+        let developmentApplications = parsePdf([ createApplicationRows("310/001/18", "12+ü14", "ELLENüSTREET", "PORT PIRIE", [ "VERANDAH" ]) ]);
+        assert.strictEqual(developmentApplications[0].houseNumber, "12 14");
+        assert.strictEqual(developmentApplications[0].streetName, "ELLEN STREET");
+    });
+
+    it("parses an application that is split across two pages", () => {
+        let rows = createApplicationRows("310/001/18", "12", "ELLEN STREET", "PORT PIRIE", [ "VERANDAH AND", "GARAGE" ]);
+        let developmentApplications = parsePdf([ rows.slice(0, 4), rows.slice(4) ]);
+        assert.strictEqual(developmentApplications.length, 1);
+        assert.strictEqual(developmentApplications[0].streetName, "ELLEN STREET");
+        assert.strictEqual(developmentApplications[0].suburbName, "PORT PIRIE");
+        assert.strictEqual(developmentApplications[0].description, "VERANDAH AND GARAGE");
+    });
+
+    it("parses a description that is split across two pages", () => {
+        let rows = createApplicationRows("310/001/18", "12", "ELLEN STREET", "PORT PIRIE", [ "VERANDAH AND", "GARAGE" ]);
+        let developmentApplications = parsePdf([ rows.slice(0, 8), rows.slice(8) ]);
+        assert.strictEqual(developmentApplications[0].description, "VERANDAH AND GARAGE");
+        assert.strictEqual(developmentApplications[0].privateCertifierName, "KBS CONSULTANTS");
+    });
+
+    it("leaves missing fields empty", () => {
+        let developmentApplications = parsePdf([ [
+            [ "Application No", "310/002/18", "Application Date", "15/06/2018" ],
+            [ "Property House No", "Building Conditions", "0" ],
+            [ "Property Street", "HD NAPPERBY", "Fees", "Amount Due" ],
+            [ "Property Suburb", "Lodgement Fee - Base Amount", "$62.50" ],
+            [ "Hundred", "Building Rules Assessment", "$72.00" ],
+            [ "Development Description" ],
+            [ "Private Certifier Name" ]
+        ] ]);
+        assert.strictEqual(developmentApplications.length, 1);
+        let developmentApplication = developmentApplications[0];
+        assert.strictEqual(developmentApplication.houseNumber, "");
+        assert.strictEqual(developmentApplication.streetName, "HD NAPPERBY");
+        assert.strictEqual(developmentApplication.suburbName, "");
+        assert.strictEqual(developmentApplication.hundredName, "");
+        assert.strictEqual(developmentApplication.description, "");
+        assert.strictEqual(developmentApplication.privateCertifierName, "");
+    });
+
+    it("parses each application in turn", () => {
+        let developmentApplications = parsePdf([
+            createApplicationRows("310/001/18", "12", "ELLEN STREET", "PORT PIRIE", [ "VERANDAH" ]),
+            createApplicationRows("310/002/18", "5", "GERTRUDE ST", "PORT PIRIE", [ "SHED" ])
+        ]);
+        assert.deepStrictEqual(developmentApplications.map(developmentApplication => developmentApplication.applicationNumber), [ "310/001/18", "310/002/18" ]);
+        assert.deepStrictEqual(developmentApplications.map(developmentApplication => developmentApplication.description), [ "VERANDAH", "SHED" ]);
+    });
+});